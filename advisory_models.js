@@ -1,130 +1,192 @@
 // advisory_models.js - The Council of Secondary Prediction Engines
 
 import {
+    buildIndicatorEngine,
     calculateSMA,
-    calculateStdDev,
-    calculateRSI,
     getBigSmallFromNumber
 } from './utils.js';
+import { runtimeConfig } from './config.js';
+
+// --- Advisory Model Registry ---
+// Advisors are registered once with their parameters; their hit rate is tracked per
+// game over a rolling window and turns into their vote weight in the consensus.
+
+const ADVISOR_ACCURACY_WINDOW = 50;
+const ADVISOR_MIN_SAMPLES = 20; // Below this an advisor votes with a neutral weight of 1
+const ADVISOR_MUTE_THRESHOLD = 0.45;
+
+const advisoryRegistry = new Map();
+let advisoryPerformance = {}; // name -> recent outcomes, newest first (1 = hit, 0 = miss)
+
+export function registerAdvisoryModel(name, analyze, params = {}, { enabled = true } = {}) {
+    advisoryRegistry.set(name, { name, analyze, params, enabled });
+}
+
+function getAdvisorPerformance(name) {
+    const outcomes = advisoryPerformance[name] || [];
+    const hits = outcomes.reduce((a, b) => a + b, 0);
+    const hitRate = outcomes.length > 0 ? hits / outcomes.length : null;
+
+    let weight = 1;
+    let muted = false;
+    if (outcomes.length >= ADVISOR_MIN_SAMPLES) {
+        muted = hitRate < ADVISOR_MUTE_THRESHOLD;
+        weight = muted ? 0 : hitRate / 0.5; // A coin-flip advisor keeps weight 1
+    }
+    return { samples: outcomes.length, hits, hitRate, weight, muted };
+}
+
+// Scores every advisor that voted on a settled period, muted ones included, so they can recover.
+export function recordAdvisoryOutcomes(advisorySignals, actualResultType) {
+    if (!actualResultType) return;
+    for (const signal of advisorySignals || []) {
+        if (!signal.model) continue;
+        const outcomes = advisoryPerformance[signal.model] || [];
+        outcomes.unshift(signal.prediction === actualResultType ? 1 : 0);
+        advisoryPerformance[signal.model] = outcomes.slice(0, ADVISOR_ACCURACY_WINDOW);
+    }
+}
+
+export function getAdvisoryModelStats() {
+    return [...advisoryRegistry.values()].map(({ name, params, enabled }) => ({
+        name,
+        enabled,
+        params: { ...params },
+        ...getAdvisorPerformance(name)
+    }));
+}
+
+export function getAdvisoryPerformanceSnapshot() {
+    return Object.fromEntries(Object.entries(advisoryPerformance).map(([name, outcomes]) => [name, [...outcomes]]));
+}
+
+export function restoreAdvisoryPerformance(snapshot) {
+    advisoryPerformance = {};
+    for (const [name, outcomes] of Object.entries(snapshot || {})) {
+        if (Array.isArray(outcomes)) advisoryPerformance[name] = outcomes.slice(0, ADVISOR_ACCURACY_WINDOW);
+    }
+}
 
 // --- Advisory Model Runner ---
-export function runAdvisoryModels(history, primaryPrediction) {
-    const models = [
-        analyzeRSITrend(history),
-        analyzeStochastic(history),
-        analyzeColorPatterns(history),
-        analyzeVolatilityBreakout(history),
-        analyzePriceAction(history),
-        analyzeMeanReversion(history) // New model
-    ];
-
-    const advisorySignals = models.filter(m => m !== null);
-    let agreeingModels = 0;
-
-    advisorySignals.forEach(model => {
-        if (model.prediction === primaryPrediction) {
-            agreeingModels++;
-        }
-    });
-
-    const totalAdvisors = advisorySignals.length;
-    const consensusScore = totalAdvisors > 0 ? (agreeingModels / totalAdvisors) : 0.5; // Default to neutral consensus
+// `advisors` holds per-configuration overrides, name -> { enabled, params }. `indicators` is
+// the engine with default periods that has seen the same history (see utils.js); it is built
+// from the history when missing. Advisors are called as analyze(history, params, indicators).
+export function runAdvisoryModels(history, primaryPrediction, { advisors = {}, indicators = null } = {}) {
+    const engine = indicators || buildIndicatorEngine(getNumbers(history));
+    const advisorySignals = [];
+    for (const model of advisoryRegistry.values()) {
+        const override = advisors[model.name] || {};
+        if (!(override.enabled ?? model.enabled)) continue;
+        const signal = model.analyze(history, { ...model.params, ...override.params }, engine);
+        if (signal === null) continue;
+        const { weight, muted } = getAdvisorPerformance(model.name);
+        advisorySignals.push({ ...signal, model: model.name, weight, muted });
+    }
+
+    // Muted advisors are reported but do not vote
+    const voters = advisorySignals.filter(signal => !signal.muted);
+    const agreeing = voters.filter(signal => signal.prediction === primaryPrediction);
+    const totalWeight = voters.reduce((acc, signal) => acc + signal.weight, 0);
+    const agreeingWeight = agreeing.reduce((acc, signal) => acc + signal.weight, 0);
+
+    const agreeingModels = agreeing.length;
+    const totalAdvisors = voters.length;
+    const consensusScore = totalWeight > 0 ? (agreeingWeight / totalWeight) : 0.5; // Default to neutral consensus
 
     return { advisorySignals, consensusScore, agreeingModels, totalAdvisors };
 }
 
 // --- Individual Advisory Models ---
 
+function getNumbers(history) {
+    return history.map(p => p.actualNumber).filter(n => !isNaN(n));
+}
+
+// The shared engine serves the default periods; advisors whose params ask for others get an
+// engine of their own, replayed from the history.
+function indicatorsFor(history, indicators, periods) {
+    const matches = Object.entries(periods).every(([key, period]) => indicators.periods[key] === period);
+    return matches ? indicators : buildIndicatorEngine(getNumbers(history), periods);
+}
+
 // 1. RSI Trend Engine
-function analyzeRSITrend(history, rsiPeriod = 14, rsiMAPeriod = 9) {
+function analyzeRSITrend(history, { rsiPeriod = 14, rsiMAPeriod = 9 } = {}, indicators) {
     // This model determines if the RSI itself is in an uptrend or downtrend.
     // If RSI is trending up, it signals bullish momentum, and vice-versa.
-    const numbers = history.map(p => p.actualNumber).filter(n => !isNaN(n));
-    if (numbers.length < rsiPeriod + rsiMAPeriod) return null;
-
-    const rsiValues = [];
-    for (let i = rsiMAPeriod - 1; i >= 0; i--) {
-        const slice = numbers.slice(i);
-        const rsi = calculateRSI(slice, rsiPeriod);
-        if (rsi !== null) rsiValues.push(rsi);
-        else return null;
-    }
+    const { count, rsiHistory } = indicatorsFor(history, indicators, { rsi: rsiPeriod, rsiAverage: rsiMAPeriod });
+    if (count < rsiPeriod + rsiMAPeriod || rsiHistory.length < rsiMAPeriod) return null;
+
+    const rsiValues = rsiHistory.slice(0, rsiMAPeriod).reverse(); // Oldest to newest
 
     const currentRSI = rsiValues[rsiValues.length - 1];
     const rsiMA = calculateSMA(rsiValues, rsiMAPeriod);
 
-    if (currentRSI > rsiMA + 2) return { prediction: "BIG", source: "RSITrend" };
-    if (currentRSI < rsiMA - 2) return { prediction: "SMALL", source: "RSITrend" };
+    const reason = `RSI ${currentRSI.toFixed(1)} vs its ${rsiMAPeriod}-period average ${rsiMA.toFixed(1)}`;
+    if (currentRSI > rsiMA + 2) return { prediction: "BIG", source: "RSITrend", reason };
+    if (currentRSI < rsiMA - 2) return { prediction: "SMALL", source: "RSITrend", reason };
     return null;
 }
 
 // 2. Stochastic Oscillator
-function analyzeStochastic(history, period = 14) {
+// Cut-offs left out of the params follow the runtime configuration.
+function analyzeStochastic(history, { period = 14, overbought = runtimeConfig.STOCHASTIC_OVERBOUGHT, oversold = runtimeConfig.STOCHASTIC_OVERSOLD } = {}, indicators) {
     // This model identifies overbought (>80) and oversold (<20) conditions.
     // It predicts a reversal away from these extreme levels.
-    const numbers = history.map(p => p.actualNumber).filter(n => !isNaN(n)).slice(0, period);
-    if (numbers.length < period) return null;
-
-    const currentPrice = numbers[0];
-    const lowestLow = Math.min(...numbers);
-    const highestHigh = Math.max(...numbers);
+    const K = indicatorsFor(history, indicators, { stochastic: period }).stochastic.value;
+    if (K === null) return null; // Not enough results yet, or a flat range
 
-    if (highestHigh === lowestLow) return null;
-    const K = 100 * ((currentPrice - lowestLow) / (highestHigh - lowestLow));
-
-    if (K > 85) return { prediction: "SMALL", source: "Stochastic" }; // Overbought, predict reversal to SMALL
-    if (K < 15) return { prediction: "BIG", source: "Stochastic" }; // Oversold, predict reversal to BIG
+    if (K > overbought) return { prediction: "SMALL", source: "Stochastic", reason: `%K ${K.toFixed(1)} is overbought (> ${overbought})` }; // Overbought, predict reversal to SMALL
+    if (K < oversold) return { prediction: "BIG", source: "Stochastic", reason: `%K ${K.toFixed(1)} is oversold (< ${oversold})` }; // Oversold, predict reversal to BIG
     return null;
 }
 
 // 3. Advanced Pattern Recognition Engine
-function analyzeColorPatterns(history) {
-    // This engine looks for common "color trading" patterns in the last 10 outcomes.
+function analyzeColorPatterns(history, { lookback = runtimeConfig.COLOR_PATTERN_LOOKBACK } = {}) {
+    // This engine looks for common "color trading" patterns in the last `lookback` outcomes.
     // A 'B' can be seen as a green candle, 'S' as red.
-    const outcomes = history.map(p => getBigSmallFromNumber(p.actual)).slice(0, 10).reverse();
+    const outcomes = history.map(p => getBigSmallFromNumber(p.actual)).slice(0, lookback).reverse();
     if (outcomes.length < 5) return null;
 
     const sequence = outcomes.join('');
+    const signal = (prediction, source) => ({ prediction, source, reason: `Last outcomes ${sequence}` });
 
     // --- Streak Patterns (Continuation & Reversal) ---
-    if (sequence.endsWith('BBBB')) return { prediction: 'BIG', source: 'Pattern:StreakCont' };
-    if (sequence.endsWith('SSSS')) return { prediction: 'SMALL', source: 'Pattern:StreakCont' };
-    if (sequence.endsWith('BBBBB')) return { prediction: 'SMALL', source: 'Pattern:StreakBreak' };
-    if (sequence.endsWith('SSSSS')) return { prediction: 'BIG', source: 'Pattern:StreakBreak' };
+    if (sequence.endsWith('BBBB')) return signal('BIG', 'Pattern:StreakCont');
+    if (sequence.endsWith('SSSS')) return signal('SMALL', 'Pattern:StreakCont');
+    if (sequence.endsWith('BBBBB')) return signal('SMALL', 'Pattern:StreakBreak');
+    if (sequence.endsWith('SSSSS')) return signal('BIG', 'Pattern:StreakBreak');
 
     // --- Alternating Patterns ---
-    if (sequence.endsWith('BSBS')) return { prediction: 'BIG', source: 'Pattern:AltBreak' }; // Expects the pattern to break with B
-    if (sequence.endsWith('SBSB')) return { prediction: 'SMALL', source: 'Pattern:AltBreak' }; // Expects the pattern to break with S
+    if (sequence.endsWith('BSBS')) return signal('BIG', 'Pattern:AltBreak'); // Expects the pattern to break with B
+    if (sequence.endsWith('SBSB')) return signal('SMALL', 'Pattern:AltBreak'); // Expects the pattern to break with S
 
     // --- Interruption (or "sandwich") Patterns ---
-    if (sequence.endsWith('BBSBB')) return { prediction: 'BIG', source: 'Pattern:Interrupt' }; // Predicts the dominant trend 'B' will resume
-    if (sequence.endsWith('SSBSS')) return { prediction: 'SMALL', source: 'Pattern:Interrupt' }; // Predicts the dominant trend 'S' will resume
-    if (sequence.endsWith('BSB')) return { prediction: 'SMALL', source: 'Pattern:DoubleTop' };
-    if (sequence.endsWith('SBS')) return { prediction: 'BIG', source: 'Pattern:DoubleBottom' };
+    if (sequence.endsWith('BBSBB')) return signal('BIG', 'Pattern:Interrupt'); // Predicts the dominant trend 'B' will resume
+    if (sequence.endsWith('SSBSS')) return signal('SMALL', 'Pattern:Interrupt'); // Predicts the dominant trend 'S' will resume
+    if (sequence.endsWith('BSB')) return signal('SMALL', 'Pattern:DoubleTop');
+    if (sequence.endsWith('SBS')) return signal('BIG', 'Pattern:DoubleBottom');
 
 
     return null;
 }
 
 // 4. Volatility Breakout
-function analyzeVolatilityBreakout(history, period = 20) {
+function analyzeVolatilityBreakout(history, { period = 20, breakoutRatio = runtimeConfig.VOLATILITY_BREAKOUT_RATIO } = {}, indicators) {
     // This model assumes that a sudden expansion in volatility indicates that the
     // most recent price move will continue with momentum.
-    const numbers = history.map(p => p.actualNumber).filter(n => !isNaN(n));
-    if (numbers.length < period * 2) return null;
-
-    const recentSlice = numbers.slice(0, period);
-    const priorSlice = numbers.slice(period, period * 2);
+    const numbers = getNumbers(history);
+    const { count, stdDevHistory } = indicatorsFor(history, indicators, { band: period });
+    if (count < period * 2) return null;
 
-    const recentVol = calculateStdDev(recentSlice, period);
-    const priorVol = calculateStdDev(priorSlice, period);
+    const recentVol = stdDevHistory[0];
+    const priorVol = stdDevHistory[period]; // Over the `period` results before the recent ones
 
     if (recentVol === null || priorVol === null || priorVol === 0) return null;
 
-    // If recent volatility is 80% higher than prior volatility, signal a breakout.
-    if (recentVol > priorVol * 1.8) {
+    // If recent volatility is well above (by default 80% over) the prior volatility, signal a breakout.
+    if (recentVol > priorVol * breakoutRatio) {
         const lastMove = numbers[0] > numbers[1] ? "BIG" : "SMALL";
-        return { prediction: lastMove, source: "Volatility" };
+        return { prediction: lastMove, source: "Volatility", reason: `StdDev ${recentVol.toFixed(2)} is over ${breakoutRatio}x the prior ${priorVol.toFixed(2)}` };
     }
     return null;
 }
@@ -137,29 +199,34 @@ function analyzePriceAction(history) {
 
     const [p0, p1, p2, p3] = numbers; // p0 is most recent
     // Higher High (p0>p2) and Higher Low (p1>p3) -> Uptrend
-    if (p0 > p2 && p1 > p3) return { prediction: 'BIG', source: 'PriceAction' };
+    if (p0 > p2 && p1 > p3) return { prediction: 'BIG', source: 'PriceAction', reason: `Higher high (${p0} > ${p2}) and higher low (${p1} > ${p3})` };
     // Lower High (p0<p2) and Lower Low (p1<p3) -> Downtrend
-    if (p0 < p2 && p1 < p3) return { prediction: 'SMALL', source: 'PriceAction' };
+    if (p0 < p2 && p1 < p3) return { prediction: 'SMALL', source: 'PriceAction', reason: `Lower high (${p0} < ${p2}) and lower low (${p1} < ${p3})` };
     return null;
 }
 
 // 6. Mean Reversion
-function analyzeMeanReversion(history, period = 20) {
+function analyzeMeanReversion(history, { period = 20, zScoreLimit = runtimeConfig.MEAN_REVERSION_Z_SCORE } = {}, indicators) {
     // This model predicts a reversion to the mean if the price is far from its SMA.
-    const numbers = history.map(p => p.actualNumber).filter(n => !isNaN(n)).slice(0, period);
-    if (numbers.length < period) return null;
-
-    const sma = calculateSMA(numbers, period);
-    const stdDev = calculateStdDev(numbers, period);
+    const { latest, bollinger } = indicatorsFor(history, indicators, { band: period });
+    const { middle: sma, stdDev } = bollinger;
     if (sma === null || stdDev === null) return null;
 
-    const currentPrice = numbers[0];
+    const currentPrice = latest;
     const zScore = (currentPrice - sma) / stdDev;
 
-    // If price is more than 1.5 standard deviations above the mean, predict a fall.
-    if (zScore > 1.5) return { prediction: 'SMALL', source: 'MeanReversion' };
-    // If price is more than 1.5 standard deviations below the mean, predict a rise.
-    if (zScore < -1.5) return { prediction: 'BIG', source: 'MeanReversion' };
+    // If price is more than zScoreLimit (1.5) standard deviations above the mean, predict a fall.
+    if (zScore > zScoreLimit) return { prediction: 'SMALL', source: 'MeanReversion', reason: `z-score ${zScore.toFixed(2)} above +${zScoreLimit}` };
+    // If price is more than zScoreLimit standard deviations below the mean, predict a rise.
+    if (zScore < -zScoreLimit) return { prediction: 'BIG', source: 'MeanReversion', reason: `z-score ${zScore.toFixed(2)} below -${zScoreLimit}` };
 
     return null;
 }
+
+// --- Default Council ---
+registerAdvisoryModel('RSITrend', analyzeRSITrend, { rsiPeriod: 14, rsiMAPeriod: 9 });
+registerAdvisoryModel('Stochastic', analyzeStochastic, { period: 14 });
+registerAdvisoryModel('ColorPatterns', analyzeColorPatterns);
+registerAdvisoryModel('VolatilityBreakout', analyzeVolatilityBreakout, { period: 20 });
+registerAdvisoryModel('PriceAction', analyzePriceAction);
+registerAdvisoryModel('MeanReversion', analyzeMeanReversion, { period: 20 });
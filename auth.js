@@ -0,0 +1,181 @@
+// auth.js - API Keys, Roles & Rate Limiting
+// Clients send their key as `Authorization: Bearer <key>` or `X-API-Key: <key>`. Each key has a role:
+//   viewer     reads predictions, history, reports and metrics
+//   submitter  also posts results, imports history and pushes signals
+//   admin      also changes model state: seeds, models, runtime config, configurations
+// Keys come from API_KEYS ("name:role:key[:requestsPerMinute]" entries, comma-separated) and
+// API_KEYS_FILE (a JSON array of { name, role, key, rateLimit }). CONFIG_ADMIN_TOKEN, which
+// used to guard /config alone, is still accepted as an admin key named 'config-admin'.
+// Requests without a key get ANONYMOUS_ROLE: 'viewer' while no key is configured, so an
+// unconfigured server is read-only and its write endpoints answer 503 NOT_CONFIGURED, and
+// 'none' (rejected) once any key is. Anonymous writes need an explicit ANONYMOUS_ROLE=submitter.
+// Every key, and every client IP without one, has its own token bucket (see config.js for
+// RATE_LIMIT_PER_MINUTE and ANONYMOUS_RATE_LIMIT_PER_MINUTE); invalid keys are charged to the
+// client IP at the anonymous rate. IP buckets are keyed on req.ip: behind a proxy, set
+// TRUST_PROXY or every anonymous client shares the proxy's bucket.
+
+import { createHash } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { runtimeConfig } from './config.js';
+import { ERROR_CODES, sendError } from './validation.js';
+import { runWithLogContext } from './logger.js';
+
+export const ROLES = ['viewer', 'submitter', 'admin'];
+const ANONYMOUS_ROLES = ['none', 'viewer', 'submitter'];
+const KEY_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const MIN_KEY_LENGTH = 16;
+const MAX_BUCKETS = 10000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+// --- Key Loading ---
+
+function hashKey(key) {
+    return createHash('sha256').update(key).digest('hex');
+}
+
+function parseKeyEntry(entry, source) {
+    const { name, role, key, rateLimit = null } = entry;
+    if (typeof name !== 'string' || !KEY_NAME_PATTERN.test(name)) throw new Error(`${source}: key name '${name}' must be 1-64 letters, digits, '_', '.' or '-'.`);
+    if (!ROLES.includes(role)) throw new Error(`${source}: key '${name}' has unknown role '${role}' (expected ${ROLES.join(', ')}).`);
+    if (typeof key !== 'string' || key.length < MIN_KEY_LENGTH) throw new Error(`${source}: key '${name}' must be at least ${MIN_KEY_LENGTH} characters.`);
+    if (rateLimit !== null && !(Number.isInteger(rateLimit) && rateLimit > 0)) throw new Error(`${source}: key '${name}' needs a positive integer rateLimit.`);
+    return { name, role, hash: hashKey(key), rateLimit };
+}
+
+function loadApiKeys(env) {
+    const entries = [];
+    for (const item of (env.API_KEYS || '').split(',').map(s => s.trim()).filter(Boolean)) {
+        const [name, role, key, rateLimit] = item.split(':');
+        entries.push(parseKeyEntry({ name, role, key, rateLimit: rateLimit === undefined ? null : Number(rateLimit) }, 'API_KEYS'));
+    }
+    if (env.API_KEYS_FILE) {
+        const filePath = resolve(env.API_KEYS_FILE);
+        if (!existsSync(filePath)) throw new Error(`API key file ${filePath} does not exist.`);
+        const parsed = JSON.parse(readFileSync(filePath, 'utf8'));
+        if (!Array.isArray(parsed)) throw new Error(`API key file ${filePath} must hold a JSON array.`);
+        entries.push(...parsed.map(entry => parseKeyEntry(entry, filePath)));
+    }
+    if (env.CONFIG_ADMIN_TOKEN) {
+        entries.push(parseKeyEntry({ name: 'config-admin', role: 'admin', key: env.CONFIG_ADMIN_TOKEN }, 'CONFIG_ADMIN_TOKEN'));
+    }
+
+    const keys = new Map();
+    for (const entry of entries) {
+        if ([...keys.values()].some(existing => existing.name === entry.name)) throw new Error(`API key name '${entry.name}' is used twice.`);
+        keys.set(entry.hash, entry);
+    }
+    return keys;
+}
+
+function loadAnonymousRole(env, keys) {
+    const role = env.ANONYMOUS_ROLE || (keys.size > 0 ? 'none' : 'viewer');
+    if (!ANONYMOUS_ROLES.includes(role)) throw new Error(`ANONYMOUS_ROLE must be one of ${ANONYMOUS_ROLES.join(', ')}.`);
+    return role;
+}
+
+const apiKeys = loadApiKeys(process.env);
+const anonymousRole = loadAnonymousRole(process.env, apiKeys);
+
+export function getAuthSummary() {
+    const keysByRole = Object.fromEntries(ROLES.map(role => [role, [...apiKeys.values()].filter(k => k.role === role).length]));
+    return { keys: apiKeys.size, keysByRole, anonymousRole };
+}
+
+// --- CORS ---
+
+// CORS_ORIGINS is a comma-separated allow-list; unset or '*' allows any origin. Keys travel in
+// headers, never cookies, so a foreign page only reaches what the anonymous role may read.
+export function getCorsOptions(env = process.env) {
+    const origins = (env.CORS_ORIGINS || '*').split(',').map(s => s.trim()).filter(Boolean);
+    return {
+        origin: origins.includes('*') ? '*' : origins,
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id', 'Last-Event-ID'],
+        exposedHeaders: ['X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'Retry-After']
+    };
+}
+
+// --- Rate Limiting ---
+
+const buckets = new Map(); // Identity -> { tokens, updatedAt }; insertion order doubles as age
+
+// Token bucket holding `limit` requests, refilled at `limit` per minute. Returns the wait in ms (0 = allowed).
+function takeToken(identity, limit, now = Date.now()) {
+    let bucket = buckets.get(identity);
+    if (bucket) {
+        buckets.delete(identity);
+        bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * limit / RATE_WINDOW_MS);
+        bucket.updatedAt = now;
+    } else {
+        bucket = { tokens: limit, updatedAt: now };
+    }
+    buckets.set(identity, bucket);
+    if (buckets.size > MAX_BUCKETS) buckets.delete(buckets.keys().next().value);
+
+    if (bucket.tokens < 1) return Math.ceil((1 - bucket.tokens) * RATE_WINDOW_MS / limit);
+    bucket.tokens -= 1;
+    return 0;
+}
+
+function refundToken(identity) {
+    const bucket = buckets.get(identity);
+    if (bucket) bucket.tokens += 1;
+}
+
+function sendRateLimited(res, limit, waitMs) {
+    res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+    return sendError(res, 429, ERROR_CODES.RATE_LIMITED, `Rate limit of ${limit} requests per minute exceeded.`);
+}
+
+// --- Middleware ---
+
+function suppliedKey(req, allowQueryKey) {
+    const authorization = req.get('Authorization');
+    if (authorization && /^Bearer\s+/i.test(authorization)) return authorization.replace(/^Bearer\s+/i, '');
+    if (req.get('X-API-Key')) return req.get('X-API-Key');
+    return allowQueryKey && typeof req.query.apiKey === 'string' ? req.query.apiKey : null;
+}
+
+function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Route guard: authenticates the caller, checks `role` and charges the caller's rate limit.
+// `allowQueryKey` also accepts ?apiKey=, for clients such as EventSource that cannot set headers.
+// The caller is stored as req.apiClient ({ name, role, anonymous }); req.client is Node's socket.
+export function requireRole(role, { allowQueryKey = false } = {}) {
+    return (req, res, next) => {
+        const key = suppliedKey(req, allowQueryKey);
+        let client;
+        if (key !== null) {
+            // Every key attempt is charged to the client IP first and refunded once the key checks
+            // out, so guessing keys is limited like anonymous traffic.
+            const attempts = `key-attempt:${req.ip}`;
+            const attemptWaitMs = takeToken(attempts, runtimeConfig.ANONYMOUS_RATE_LIMIT_PER_MINUTE);
+            if (attemptWaitMs > 0) return sendRateLimited(res, runtimeConfig.ANONYMOUS_RATE_LIMIT_PER_MINUTE, attemptWaitMs);
+            const entry = apiKeys.get(hashKey(key));
+            if (!entry) return sendError(res, 401, ERROR_CODES.UNAUTHORIZED, "Invalid API key.");
+            refundToken(attempts);
+            client = { name: entry.name, role: entry.role, anonymous: false, rateLimit: entry.rateLimit ?? runtimeConfig.RATE_LIMIT_PER_MINUTE };
+        } else {
+            client = { name: 'anonymous', role: anonymousRole, anonymous: true, rateLimit: runtimeConfig.ANONYMOUS_RATE_LIMIT_PER_MINUTE };
+        }
+
+        if (!hasRole(client.role, role)) {
+            if (!client.anonymous) return sendError(res, 403, ERROR_CODES.FORBIDDEN, `The '${client.name}' key has the ${client.role} role; this endpoint needs ${role}.`);
+            if (![...apiKeys.values()].some(entry => hasRole(entry.role, role))) {
+                return sendError(res, 503, ERROR_CODES.NOT_CONFIGURED, `No API key with the ${role} role is configured (see API_KEYS).`);
+            }
+            return sendError(res, 401, ERROR_CODES.UNAUTHORIZED, `An API key with the ${role} role is required.`);
+        }
+
+        const identity = client.anonymous ? `ip:${req.ip}` : `key:${client.name}`;
+        const waitMs = takeToken(identity, client.rateLimit);
+        res.set('RateLimit-Limit', String(client.rateLimit));
+        res.set('RateLimit-Remaining', String(Math.floor(buckets.get(identity).tokens)));
+        if (waitMs > 0) return sendRateLimited(res, client.rateLimit, waitMs);
+
+        req.apiClient = { name: client.name, role: client.role, anonymous: client.anonymous };
+        runWithLogContext({ client: client.name }, next);
+    };
+}
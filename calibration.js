@@ -0,0 +1,113 @@
+// calibration.js - Confidence Calibration
+// Maps the raw consensus score from ultraAIPredict onto the win probability actually
+// observed for similar scores, using a binned isotonic fit over settled predictions.
+
+const NUM_BINS = 10;
+const MIN_CALIBRATION_SAMPLES = 50;
+const BIN_PRIOR_STRENGTH = 4; // Pseudo-observations pulling sparse bins towards a coin flip
+
+// --- Fitting ---
+
+function isSettledSample(entry) {
+    return (entry.status === 'Win' || entry.status === 'Loss') && Number.isFinite(entry.rawConfidence);
+}
+
+function binIndex(score) {
+    return Math.min(NUM_BINS - 1, Math.max(0, Math.floor(score * NUM_BINS)));
+}
+
+function createBins() {
+    return Array.from({ length: NUM_BINS }, (_, i) => ({
+        lower: i / NUM_BINS,
+        upper: (i + 1) / NUM_BINS,
+        count: 0,
+        wins: 0
+    }));
+}
+
+// Returns null until enough settled predictions exist to trust the mapping.
+export function fitCalibration(ledger) {
+    const samples = ledger.filter(isSettledSample);
+    if (samples.length < MIN_CALIBRATION_SAMPLES) return null;
+
+    const bins = createBins();
+    for (const sample of samples) {
+        const bin = bins[binIndex(sample.rawConfidence)];
+        bin.count++;
+        if (sample.status === 'Win') bin.wins++;
+    }
+
+    // Pool-adjacent-violators: merge neighbouring bins until win rate never falls as the score rises
+    const blocks = [];
+    for (const bin of bins.filter(b => b.count > 0)) {
+        blocks.push({
+            weight: bin.count + BIN_PRIOR_STRENGTH,
+            value: (bin.wins + BIN_PRIOR_STRENGTH * 0.5) / (bin.count + BIN_PRIOR_STRENGTH),
+            bins: [bin]
+        });
+        while (blocks.length > 1 && blocks[blocks.length - 2].value > blocks[blocks.length - 1].value) {
+            const last = blocks.pop();
+            const prev = blocks.pop();
+            const weight = prev.weight + last.weight;
+            blocks.push({
+                weight,
+                value: (prev.value * prev.weight + last.value * last.weight) / weight,
+                bins: [...prev.bins, ...last.bins]
+            });
+        }
+    }
+    for (const block of blocks) {
+        for (const bin of block.bins) bin.probability = block.value;
+    }
+
+    // Empty bins borrow from the nearest populated bin below, else above
+    let carried = null;
+    for (const bin of bins) {
+        if (bin.count > 0) carried = bin.probability;
+        else if (carried !== null) bin.probability = carried;
+    }
+    carried = null;
+    for (const bin of [...bins].reverse()) {
+        if (bin.probability !== undefined) carried = bin.probability;
+        else bin.probability = carried;
+    }
+
+    return { bins, samples: samples.length, fittedAt: Date.now() };
+}
+
+export function calibrate(calibration, rawScore) {
+    return calibration.bins[binIndex(rawScore)].probability;
+}
+
+// --- Reporting ---
+
+export function getCalibrationReport(ledger) {
+    const calibration = fitCalibration(ledger);
+
+    // Reliability of the probabilities that were actually issued
+    const issued = ledger.filter(e => (e.status === 'Win' || e.status === 'Loss') && Number.isFinite(e.winProbability));
+    const reliability = createBins().map(bin => ({ ...bin, meanPredicted: null, observedWinRate: null }));
+    let squaredErrorSum = 0;
+    for (const entry of issued) {
+        const outcome = entry.status === 'Win' ? 1 : 0;
+        const bin = reliability[binIndex(entry.winProbability)];
+        bin.count++;
+        bin.wins += outcome;
+        bin.meanPredicted = (bin.meanPredicted || 0) + entry.winProbability;
+        squaredErrorSum += Math.pow(entry.winProbability - outcome, 2);
+    }
+    for (const bin of reliability) {
+        if (bin.count === 0) continue;
+        bin.meanPredicted /= bin.count;
+        bin.observedWinRate = bin.wins / bin.count;
+    }
+
+    return {
+        calibrated: calibration !== null,
+        minSamples: MIN_CALIBRATION_SAMPLES,
+        fit: calibration,
+        issuedSamples: issued.length,
+        brierScore: issued.length > 0 ? squaredErrorSum / issued.length : null,
+        reliability
+    };
+}
@@ -0,0 +1,239 @@
+// champion_challenger.js - Versioned Model Configurations & Shadow Evaluation
+// A configuration is the tunable part of the model: the primary model's coefficients and
+// per-advisor overrides ({ enabled, params }). Configurations are stored per game as named,
+// numbered versions. The champion configuration drives live predictions; challengers run in
+// shadow on the same features and history, and their would-be predictions are settled against
+// the same results. A challenger that beat the champion over enough periods can be promoted,
+// and any stored version can be rolled back to. Challenger coefficients stay frozen while
+// shadowing; only the champion keeps learning online.
+
+import { analyzeUnifiedMLModel } from './primary_model.js';
+import { runAdvisoryModels } from './advisory_models.js';
+import { mlCoefficients, mlFeatureWeights, loadMLCoefficients } from './state.js';
+
+const MAX_VERSIONS_PER_CONFIGURATION = 50;
+const MAX_SHADOW_OUTCOMES = 500;
+const MAX_CHAMPION_HISTORY = 20;
+export const DEFAULT_PROMOTION_PERIODS = 100;
+
+// --- State ---
+
+let configurations = {}; // name -> versions, oldest first: [{ version, createdAt, note, config }]
+let champion = null; // { name, version, promotedAt } once a stored configuration has been promoted
+let championHistory = []; // Champions replaced by promotions, newest first
+let championAdvisors = {}; // Advisor overrides of the live champion
+let challengers = {}; // key -> { name, version, startedAt, outcomes (newest first) }
+
+function challengerKey(name, version) {
+    return `${name}@v${version}`;
+}
+
+// --- Configurations ---
+
+export function captureLiveConfiguration() {
+    return {
+        mlBias: mlCoefficients.bias,
+        mlFeatureWeights: { ...mlFeatureWeights },
+        advisors: structuredClone(championAdvisors)
+    };
+}
+
+export function getChampionAdvisorOverrides() {
+    return championAdvisors;
+}
+
+// Partial configurations are completed from the live champion, so a challenger can differ in one weight.
+export function saveConfiguration(name, { config = {}, note = '' } = {}) {
+    if (config.advisors !== undefined && (typeof config.advisors !== 'object' || config.advisors === null || Array.isArray(config.advisors))) {
+        throw new Error("'advisors' must map advisor names to { enabled, params }.");
+    }
+    const live = captureLiveConfiguration();
+    const complete = {
+        mlBias: Number.isFinite(config.mlBias) ? config.mlBias : live.mlBias,
+        mlFeatureWeights: { ...live.mlFeatureWeights },
+        advisors: config.advisors !== undefined ? structuredClone(config.advisors) : live.advisors
+    };
+    for (const [key, weight] of Object.entries(config.mlFeatureWeights || {})) {
+        if (complete.mlFeatureWeights[key] === undefined) throw new Error(`Unknown feature '${key}'.`);
+        if (!Number.isFinite(weight)) throw new Error(`Weight for '${key}' is not a number.`);
+        complete.mlFeatureWeights[key] = weight;
+    }
+
+    const versions = configurations[name] || (configurations[name] = []);
+    const version = versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+    versions.push({ version, createdAt: Date.now(), note: String(note), config: complete });
+    if (versions.length > MAX_VERSIONS_PER_CONFIGURATION) versions.shift();
+    return { name, version };
+}
+
+// `version` defaults to the latest one.
+export function getConfiguration(name, version) {
+    const versions = configurations[name] || [];
+    if (version === undefined || version === null) return versions[versions.length - 1] || null;
+    return versions.find(v => v.version === Number(version)) || null;
+}
+
+function requireConfiguration(name, version) {
+    const stored = getConfiguration(name, version);
+    if (!stored) throw new Error(`No configuration '${name}'${version != null ? ` version ${version}` : ''}.`);
+    return stored;
+}
+
+function applyConfiguration(config) {
+    loadMLCoefficients({ bias: config.mlBias, weights: config.mlFeatureWeights });
+    championAdvisors = structuredClone(config.advisors || {});
+}
+
+// --- Challengers ---
+
+export function startChallenger(name, version) {
+    const stored = requireConfiguration(name, version);
+    const key = challengerKey(name, stored.version);
+    if (!challengers[key]) {
+        challengers[key] = { name, version: stored.version, startedAt: Date.now(), outcomes: [] };
+    }
+    return key;
+}
+
+export function stopChallenger(name, version) {
+    const key = challengerKey(name, Number(version));
+    if (!challengers[key]) return false;
+    delete challengers[key];
+    return true;
+}
+
+// Would-be predictions of every challenger for the features (and indicator engine) the champion just used.
+export function runShadowPredictions(history, features, indicators = null) {
+    if (!features) return [];
+    const shadowPredictions = [];
+    for (const [key, challenger] of Object.entries(challengers)) {
+        const stored = getConfiguration(challenger.name, challenger.version);
+        if (!stored) continue;
+        const { config } = stored;
+
+        const primary = analyzeUnifiedMLModel(features, { bias: config.mlBias, weights: config.mlFeatureWeights });
+        if (!primary) continue;
+        const { consensusScore } = runAdvisoryModels(history, primary.prediction, { advisors: config.advisors, indicators });
+        shadowPredictions.push({
+            challenger: key,
+            prediction: primary.prediction,
+            probabilityBig: primary.probabilityBig,
+            rawConfidence: primary.confidence * (0.6 + consensusScore * 0.4)
+        });
+    }
+    return shadowPredictions;
+}
+
+// Scores the shadow predictions recorded with a settled ledger entry against the champion's call
+// (its paper call during a cooldown).
+export function recordShadowOutcomes(entry) {
+    if (!entry.resultType) return;
+    for (const shadow of entry.shadowPredictions || []) {
+        const challenger = challengers[shadow.challenger];
+        if (!challenger) continue;
+        challenger.outcomes.unshift({
+            period: entry.period,
+            challenger: shadow.prediction === entry.resultType ? 1 : 0,
+            champion: (entry.paperPrediction ?? entry.prediction) === entry.resultType ? 1 : 0
+        });
+        if (challenger.outcomes.length > MAX_SHADOW_OUTCOMES) challenger.outcomes.pop();
+    }
+}
+
+function evaluateChallenger(challenger, periods) {
+    const window = challenger.outcomes.slice(0, periods);
+    const challengerWins = window.reduce((acc, o) => acc + o.challenger, 0);
+    const championWins = window.reduce((acc, o) => acc + o.champion, 0);
+    return {
+        periods: window.length,
+        requiredPeriods: periods,
+        challengerWins,
+        championWins,
+        challengerAccuracy: window.length > 0 ? challengerWins / window.length : null,
+        championAccuracy: window.length > 0 ? championWins / window.length : null,
+        beatsChampion: window.length >= periods && challengerWins > championWins
+    };
+}
+
+// --- Promotion & Rollback ---
+
+// Whatever is live is saved first, so every change can be undone.
+function saveLiveAsChampionVersion(note) {
+    return saveConfiguration(champion?.name || 'champion', { config: captureLiveConfiguration(), note });
+}
+
+// Unless `force` is set, the challenger must have beaten the champion over the last `periods` results.
+export function promoteChallenger(name, version, { periods = DEFAULT_PROMOTION_PERIODS, force = false } = {}) {
+    const stored = requireConfiguration(name, version);
+    const challenger = challengers[challengerKey(name, stored.version)];
+    const evaluation = challenger ? evaluateChallenger(challenger, periods) : null;
+    if (!force && !evaluation?.beatsChampion) {
+        const error = new Error(evaluation
+            ? `${challengerKey(name, stored.version)} has ${evaluation.challengerWins} wins against the champion's ${evaluation.championWins} over ${evaluation.periods} of ${periods} required periods.`
+            : `${challengerKey(name, stored.version)} is not running as a challenger.`);
+        error.evaluation = evaluation;
+        throw error;
+    }
+
+    const previous = saveLiveAsChampionVersion(`Live champion before promoting ${challengerKey(name, stored.version)}`);
+    championHistory.unshift(previous);
+    if (championHistory.length > MAX_CHAMPION_HISTORY) championHistory.pop();
+
+    applyConfiguration(stored.config);
+    champion = { name, version: stored.version, promotedAt: Date.now() };
+    delete challengers[challengerKey(name, stored.version)];
+    return { champion, previous, evaluation };
+}
+
+// Without a name, returns to the champion replaced by the latest promotion.
+export function rollbackConfiguration(name, version) {
+    let target;
+    if (name) {
+        target = requireConfiguration(name, version);
+    } else {
+        if (championHistory.length === 0) throw new Error("No earlier champion to roll back to.");
+        name = championHistory[0].name;
+        target = requireConfiguration(name, championHistory[0].version);
+        championHistory.shift();
+    }
+
+    const previous = saveLiveAsChampionVersion(`Live champion before rolling back to ${challengerKey(name, target.version)}`);
+    applyConfiguration(target.config);
+    champion = { name, version: target.version, promotedAt: Date.now() };
+    return { champion, previous };
+}
+
+// --- Reporting ---
+
+export function getChampionChallengerReport({ periods = DEFAULT_PROMOTION_PERIODS } = {}) {
+    return {
+        champion,
+        championHistory: championHistory.map(entry => ({ ...entry })),
+        challengers: Object.entries(challengers).map(([key, challenger]) => ({
+            key,
+            name: challenger.name,
+            version: challenger.version,
+            startedAt: challenger.startedAt,
+            ...evaluateChallenger(challenger, periods)
+        })),
+        configurations: Object.fromEntries(Object.entries(configurations).map(([name, versions]) => [
+            name,
+            versions.map(({ version, createdAt, note }) => ({ version, createdAt, note }))
+        ]))
+    };
+}
+
+// --- Snapshots ---
+
+export function getChampionChallengerSnapshot() {
+    return structuredClone({ configurations, champion, championHistory, championAdvisors, challengers });
+}
+
+export function restoreChampionChallenger(snapshot) {
+    const restored = structuredClone(snapshot || {});
+    configurations = restored.configurations || {};
+    champion = restored.champion || null;
+    championHistory = restored.championHistory || [];
+    championAdvisors = restored.championAdvisors || {};
+    challengers = restored.challengers || {};
+}
@@ -0,0 +1,206 @@
+// config.js - Runtime Configuration
+// One schema for every tunable threshold. Values resolve as schema default < config file
+// (SEROX_CONFIG_FILE, a JSON object) < environment (SEROX_<KEY>) < runtime changes made
+// through PATCH /config, which are audited and persisted with the state snapshot.
+// A change is validated as a whole and applied in one step; prediction cycles run
+// synchronously, so a change always lands between two cycles, never inside one.
+
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('config');
+
+const MAX_AUDIT_ENTRIES = 200;
+
+// --- Schema ---
+
+export const CONFIG_SCHEMA = {
+    // History
+    MIN_HISTORY: { type: 'integer', default: 100, min: 30, max: 1000, description: "Results needed before the model predicts" },
+    MAX_HISTORY_LENGTH: { type: 'integer', default: 150, min: 50, max: 5000, description: "Results kept in each game's history" },
+
+    // Confidence
+    TARGET_ACCURACY: { type: 'number', default: 0.54, min: 0.5, max: 0.9, description: "Calibrated win probability needed for confidence level 1" },
+    UNCALIBRATED_CONFIDENCE_THRESHOLD: { type: 'number', default: 0.55, min: 0, max: 1, description: "Raw confidence needed for level 1 before calibration is available" },
+    NO_EDGE_GUARD_ENABLED: { type: 'boolean', default: false, description: "Report NO_EDGE_DETECTED and withhold high confidence while results look random" },
+
+    // Defensive state machine (see defensive_mode.js)
+    BAD_TREND_THRESHOLD: { type: 'number', default: 0.45, min: 0.3, max: 0.6, description: "Rolling win rate below which CAUTION turns DEFENSIVE; each game evolves an offset from it" },
+    BAD_TREND_THRESHOLD_MIN: { type: 'number', default: 0.42, min: 0.3, max: 0.6, description: "Lowest bad-trend threshold a game can evolve to" },
+    BAD_TREND_THRESHOLD_MAX: { type: 'number', default: 0.48, min: 0.3, max: 0.6, description: "Highest bad-trend threshold a game can evolve to" },
+    BAD_TREND_WINDOW: { type: 'integer', default: 30, min: 10, max: 500, description: "Served predictions in the rolling win rate" },
+    BAD_TREND_MIN_SETTLED: { type: 'integer', default: 15, min: 1, max: 500, description: "Served predictions needed before the rolling win rate counts" },
+    EVOLUTION_RATE: { type: 'number', default: 0.005, min: 0, max: 0.1, description: "Step by which the bad-trend threshold evolves" },
+    CAUTION_MARGIN: { type: 'number', default: 0.03, min: 0, max: 0.2, description: "NORMAL turns CAUTION below the bad-trend threshold plus this margin" },
+    CAUTION_LOSS_STREAK: { type: 'integer', default: 4, min: 1, max: 50, description: "Losses in a row that turn NORMAL into CAUTION" },
+    CAUTION_CONFIDENCE_PENALTY: { type: 'number', default: 0.7, min: 0, max: 1, description: "Confidence multiplier while in CAUTION" },
+    DEFENSIVE_LOSS_STREAK: { type: 'integer', default: 6, min: 1, max: 50, description: "Losses in a row that turn CAUTION (or paper losses that turn RECOVERY) DEFENSIVE" },
+    DEFENSIVE_MIN_PERIODS: { type: 'integer', default: 10, min: 1, max: 500, description: "Paper-tracked periods DEFENSIVE lasts at least" },
+    RECOVERY_WINDOW: { type: 'integer', default: 10, min: 3, max: 200, description: "Paper results judged for entering and leaving RECOVERY" },
+    RECOVERY_ENTRY_ACCURACY: { type: 'number', default: 0.5, min: 0, max: 1, description: "Paper win rate that moves DEFENSIVE into RECOVERY; RECOVERY falls back to DEFENSIVE below it" },
+    RECOVERY_EXIT_ACCURACY: { type: 'number', default: 0.55, min: 0, max: 1, description: "Paper win rate over RECOVERY_WINDOW that returns RECOVERY to NORMAL" },
+
+    // Primary model learner
+    ML_LEARNING_RATE: { type: 'number', default: 0.02, min: 0, max: 1, description: "Online SGD learning rate" },
+    ML_L2: { type: 'number', default: 0.001, min: 0, max: 1, description: "L2 regularisation strength" },
+
+    // Advisory models
+    STOCHASTIC_OVERBOUGHT: { type: 'number', default: 85, min: 50, max: 100, description: "%K above which Stochastic votes SMALL" },
+    STOCHASTIC_OVERSOLD: { type: 'number', default: 15, min: 0, max: 50, description: "%K below which Stochastic votes BIG" },
+    VOLATILITY_BREAKOUT_RATIO: { type: 'number', default: 1.8, min: 1, max: 10, description: "Recent/prior volatility ratio that counts as a breakout" },
+    MEAN_REVERSION_Z_SCORE: { type: 'number', default: 1.5, min: 0.5, max: 5, description: "z-score beyond which MeanReversion votes" },
+    COLOR_PATTERN_LOOKBACK: { type: 'integer', default: 10, min: 5, max: 50, description: "Outcomes ColorPatterns matches its patterns against" },
+
+    // API access (see auth.js)
+    RATE_LIMIT_PER_MINUTE: { type: 'integer', default: 120, min: 1, max: 100000, description: "Requests per minute per API key, unless the key sets its own limit" },
+    ANONYMOUS_RATE_LIMIT_PER_MINUTE: { type: 'integer', default: 60, min: 1, max: 100000, description: "Requests per minute per client IP without an API key" },
+};
+
+// --- Validation ---
+
+function coerce(key, value, spec) {
+    if (spec.type === 'boolean') {
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === 'false') return value === 'true';
+        throw new Error(`${key} must be a boolean.`);
+    }
+
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) throw new Error(`${key} must be a number.`);
+    if (spec.type === 'integer' && !Number.isInteger(number)) throw new Error(`${key} must be an integer.`);
+    if (number < spec.min || number > spec.max) throw new Error(`${key} must be between ${spec.min} and ${spec.max}.`);
+    return number;
+}
+
+function checkConsistency(values) {
+    const errors = [];
+    if (values.MIN_HISTORY > values.MAX_HISTORY_LENGTH) {
+        errors.push({ key: 'MIN_HISTORY', message: "MIN_HISTORY cannot exceed MAX_HISTORY_LENGTH." });
+    }
+    if (values.BAD_TREND_MIN_SETTLED > values.BAD_TREND_WINDOW) {
+        errors.push({ key: 'BAD_TREND_MIN_SETTLED', message: "BAD_TREND_MIN_SETTLED cannot exceed BAD_TREND_WINDOW." });
+    }
+    if (values.BAD_TREND_THRESHOLD < values.BAD_TREND_THRESHOLD_MIN || values.BAD_TREND_THRESHOLD > values.BAD_TREND_THRESHOLD_MAX) {
+        errors.push({ key: 'BAD_TREND_THRESHOLD', message: "BAD_TREND_THRESHOLD must lie between BAD_TREND_THRESHOLD_MIN and BAD_TREND_THRESHOLD_MAX." });
+    }
+    if (values.RECOVERY_ENTRY_ACCURACY > values.RECOVERY_EXIT_ACCURACY) {
+        errors.push({ key: 'RECOVERY_ENTRY_ACCURACY', message: "RECOVERY_ENTRY_ACCURACY cannot exceed RECOVERY_EXIT_ACCURACY." });
+    }
+    if (values.CAUTION_LOSS_STREAK > values.DEFENSIVE_LOSS_STREAK) {
+        errors.push({ key: 'CAUTION_LOSS_STREAK', message: "CAUTION_LOSS_STREAK cannot exceed DEFENSIVE_LOSS_STREAK." });
+    }
+    return errors;
+}
+
+// Returns the merged values, or the list of { key, message } problems; `base` is never modified.
+export function validateConfigChanges(changes, base) {
+    const values = { ...base };
+    const errors = [];
+    for (const [key, value] of Object.entries(changes || {})) {
+        const spec = CONFIG_SCHEMA[key];
+        if (!spec) {
+            errors.push({ key, message: `Unknown configuration key '${key}'.` });
+            continue;
+        }
+        try {
+            values[key] = coerce(key, value, spec);
+        } catch (error) {
+            errors.push({ key, message: error.message });
+        }
+    }
+    if (errors.length === 0) errors.push(...checkConsistency(values));
+    return errors.length > 0 ? { errors } : { values };
+}
+
+// --- Loading ---
+
+function loadBaseConfig(env) {
+    const defaults = Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, spec.default]));
+
+    let fileValues = {};
+    if (env.SEROX_CONFIG_FILE) {
+        const filePath = resolve(env.SEROX_CONFIG_FILE);
+        if (!existsSync(filePath)) throw new Error(`Config file ${filePath} does not exist.`);
+        fileValues = JSON.parse(readFileSync(filePath, 'utf8'));
+    }
+    const envValues = Object.fromEntries(Object.keys(CONFIG_SCHEMA)
+        .filter(key => env[`SEROX_${key}`] !== undefined)
+        .map(key => [key, env[`SEROX_${key}`]]));
+
+    const result = validateConfigChanges({ ...fileValues, ...envValues }, defaults);
+    if (result.errors) {
+        throw new Error(`Invalid configuration: ${result.errors.map(e => e.message).join(' ')}`);
+    }
+    return result.values;
+}
+
+const baseConfig = loadBaseConfig(process.env);
+let runtimeOverrides = {};
+let configAudit = []; // Newest first
+
+// Live values; replaced in place so importers always see the current configuration.
+export const runtimeConfig = { ...baseConfig };
+
+// --- Runtime Changes ---
+
+// `changes` maps keys to new values; null drops a runtime override and restores the file/env value.
+// `actor` identifies who made the change; `note` is free text the caller adds to the audit entry.
+export function updateConfig(changes, actor = 'unknown', note = null) {
+    const overrides = { ...runtimeOverrides };
+    const resets = [];
+    for (const [key, value] of Object.entries(changes || {})) {
+        if (value === null && CONFIG_SCHEMA[key]) {
+            delete overrides[key];
+            resets.push(key);
+        } else {
+            overrides[key] = value;
+        }
+    }
+
+    const result = validateConfigChanges(overrides, baseConfig);
+    if (result.errors) return { errors: result.errors };
+
+    const diff = {};
+    for (const key of Object.keys(CONFIG_SCHEMA)) {
+        if (result.values[key] !== runtimeConfig[key]) diff[key] = { from: runtimeConfig[key], to: result.values[key] };
+    }
+
+    runtimeOverrides = Object.fromEntries(Object.keys(overrides).map(key => [key, result.values[key]]));
+    Object.assign(runtimeConfig, result.values);
+
+    const auditEntry = { at: Date.now(), actor, note, changes: diff, resets };
+    configAudit.unshift(auditEntry);
+    if (configAudit.length > MAX_AUDIT_ENTRIES) configAudit.pop();
+    log.info(`${actor} changed ${Object.keys(diff).join(', ') || 'nothing'}.`, { actor, note, changes: diff, resets });
+    return { changes: diff, auditEntry };
+}
+
+export function getConfigReport() {
+    return {
+        values: { ...runtimeConfig },
+        overrides: { ...runtimeOverrides },
+        schema: CONFIG_SCHEMA,
+        audit: configAudit.map(entry => ({ ...entry }))
+    };
+}
+
+// --- Snapshots ---
+
+export function getConfigSnapshot() {
+    return { overrides: { ...runtimeOverrides }, audit: configAudit.map(entry => ({ ...entry })) };
+}
+
+// Saved overrides that no longer validate (e.g. after a schema change) are dropped as a whole.
+export function restoreConfig(snapshot) {
+    configAudit = Array.isArray(snapshot?.audit) ? snapshot.audit.slice(0, MAX_AUDIT_ENTRIES) : [];
+    const result = validateConfigChanges(snapshot?.overrides || {}, baseConfig);
+    if (result.errors) {
+        log.error(`Ignoring saved overrides: ${result.errors.map(e => e.message).join(' ')}`);
+        runtimeOverrides = {};
+        Object.assign(runtimeConfig, baseConfig);
+        return;
+    }
+    runtimeOverrides = Object.fromEntries(Object.keys(snapshot?.overrides || {}).map(key => [key, result.values[key]]));
+    Object.assign(runtimeConfig, result.values);
+}
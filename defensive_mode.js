@@ -0,0 +1,180 @@
+// defensive_mode.js - Defensive State Machine
+// NORMAL -> CAUTION -> DEFENSIVE -> RECOVERY -> NORMAL, driven by settled predictions.
+//   NORMAL     predictions are served as usual.
+//   CAUTION    predictions are served with a confidence penalty and never at level 1.
+//   DEFENSIVE  clients get COOLDOWN; the model's call is paper-tracked and settled privately.
+//   RECOVERY   still COOLDOWN, but paper results are good enough to audition a return to NORMAL.
+//              It returns once paper accuracy reaches RECOVERY_EXIT_ACCURACY and falls back only
+//              below RECOVERY_ENTRY_ACCURACY; in between it stays, so noise near the thresholds
+//              cannot bounce it between RECOVERY and DEFENSIVE.
+// Entry and exit criteria come from config.js; the rolling accuracy threshold is
+// BAD_TREND_THRESHOLD plus the game's evolved offset (see getBadTrendThreshold).
+
+import { runtimeConfig } from './config.js';
+import { getBadTrendThreshold } from './state.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('defensive_mode');
+
+export const DEFENSIVE_STATES = ['NORMAL', 'CAUTION', 'DEFENSIVE', 'RECOVERY'];
+const MAX_TRANSITIONS = 200;
+const MAX_PAPER_OUTCOMES = 200;
+
+// Health reported to clients for each state (DEFENSIVE_MODE predates the state machine)
+const SYSTEM_HEALTH_BY_STATE = { NORMAL: 'OK', CAUTION: 'CAUTION', DEFENSIVE: 'DEFENSIVE_MODE', RECOVERY: 'RECOVERY' };
+
+function createDefensiveState() {
+    return {
+        state: 'NORMAL',
+        enteredAt: null,
+        enteredAtPeriod: null,
+        liveOutcomes: [], // Served predictions since the last fresh start, newest first (1 = Win, 0 = Loss)
+        paperOutcomes: [], // Paper-tracked predictions in the current state, newest first
+        transitions: [] // Newest first
+    };
+}
+
+let defensive = createDefensiveState();
+
+// --- Queries ---
+
+export function getDefensiveState() {
+    return defensive.state;
+}
+
+// Served predictions are withheld while DEFENSIVE or RECOVERY.
+export function isCooldownActive() {
+    return defensive.state === 'DEFENSIVE' || defensive.state === 'RECOVERY';
+}
+
+export function getSystemHealthForState() {
+    return SYSTEM_HEALTH_BY_STATE[defensive.state];
+}
+
+function accuracy(outcomes) {
+    return outcomes.length > 0 ? outcomes.reduce((a, b) => a + b, 0) / outcomes.length : null;
+}
+
+function lossStreak(outcomes) {
+    let streak = 0;
+    while (streak < outcomes.length && outcomes[streak] === 0) streak++;
+    return streak;
+}
+
+// --- Transitions ---
+
+function transition(to, period, reason) {
+    const from = defensive.state;
+    defensive.transitions.unshift({ from, to, at: Date.now(), period, reason });
+    if (defensive.transitions.length > MAX_TRANSITIONS) defensive.transitions.pop();
+
+    defensive.state = to;
+    defensive.enteredAt = Date.now();
+    defensive.enteredAtPeriod = period;
+    defensive.paperOutcomes = [];
+    if (to === 'NORMAL') defensive.liveOutcomes = []; // A fresh start; the window that caused the trouble is history
+    log.info(`${from} -> ${to} at period ${period} (${reason}).`, { from, to, period, reason });
+}
+
+function evaluateLive(period) {
+    const window = defensive.liveOutcomes.slice(0, runtimeConfig.BAD_TREND_WINDOW);
+    const enoughSamples = window.length >= runtimeConfig.BAD_TREND_MIN_SETTLED;
+    const rollingAccuracy = accuracy(window);
+    const streak = lossStreak(defensive.liveOutcomes);
+    const badTrendThreshold = getBadTrendThreshold();
+    const cautionThreshold = badTrendThreshold + runtimeConfig.CAUTION_MARGIN;
+    const formatted = rollingAccuracy === null ? 'n/a' : rollingAccuracy.toFixed(3);
+
+    if (defensive.state === 'NORMAL') {
+        if (streak >= runtimeConfig.CAUTION_LOSS_STREAK) {
+            transition('CAUTION', period, `${streak} losses in a row`);
+        } else if (enoughSamples && rollingAccuracy < cautionThreshold) {
+            transition('CAUTION', period, `rolling accuracy ${formatted} below ${cautionThreshold.toFixed(3)}`);
+        }
+    } else if (defensive.state === 'CAUTION') {
+        if (streak >= runtimeConfig.DEFENSIVE_LOSS_STREAK) {
+            transition('DEFENSIVE', period, `${streak} losses in a row`);
+        } else if (enoughSamples && rollingAccuracy < badTrendThreshold) {
+            transition('DEFENSIVE', period, `rolling accuracy ${formatted} below ${badTrendThreshold.toFixed(3)}`);
+        } else if (streak === 0 && rollingAccuracy >= cautionThreshold) { // Judged on what has settled so far
+            transition('NORMAL', period, `rolling accuracy ${formatted} recovered`);
+        }
+    }
+}
+
+function evaluatePaper(period) {
+    const { RECOVERY_WINDOW, DEFENSIVE_MIN_PERIODS, RECOVERY_ENTRY_ACCURACY, RECOVERY_EXIT_ACCURACY, DEFENSIVE_LOSS_STREAK } = runtimeConfig;
+    const paper = defensive.paperOutcomes;
+    const paperAccuracy = accuracy(paper.slice(0, RECOVERY_WINDOW));
+
+    if (defensive.state === 'DEFENSIVE') {
+        if (paper.length >= Math.max(DEFENSIVE_MIN_PERIODS, RECOVERY_WINDOW) && paperAccuracy >= RECOVERY_ENTRY_ACCURACY) {
+            transition('RECOVERY', period, `paper accuracy ${paperAccuracy.toFixed(3)} over the last ${RECOVERY_WINDOW}`);
+        }
+    } else if (defensive.state === 'RECOVERY') {
+        if (lossStreak(paper) >= DEFENSIVE_LOSS_STREAK) {
+            transition('DEFENSIVE', period, `${lossStreak(paper)} paper losses in a row`);
+        } else if (paper.length >= RECOVERY_WINDOW) {
+            if (paperAccuracy >= RECOVERY_EXIT_ACCURACY) {
+                transition('NORMAL', period, `paper accuracy ${paperAccuracy.toFixed(3)} over ${RECOVERY_WINDOW} recovery periods`);
+            } else if (paperAccuracy < RECOVERY_ENTRY_ACCURACY) {
+                transition('DEFENSIVE', period, `paper accuracy ${paperAccuracy.toFixed(3)} below ${RECOVERY_ENTRY_ACCURACY} during recovery`);
+            }
+        }
+    }
+}
+
+// Feeds one settled ledger entry into the machine: served Win/Loss outcomes drive NORMAL and
+// CAUTION, paper outcomes of COOLDOWN periods drive DEFENSIVE and RECOVERY. Warm-up coin
+// flips say nothing about the model and are ignored.
+export function recordDefensiveOutcome(entry) {
+    if (entry.systemHealth === 'INSUFFICIENT_HISTORY') return;
+    if (entry.status === 'Win' || entry.status === 'Loss') {
+        defensive.liveOutcomes.unshift(entry.status === 'Win' ? 1 : 0);
+        if (defensive.liveOutcomes.length > runtimeConfig.BAD_TREND_WINDOW) defensive.liveOutcomes.length = runtimeConfig.BAD_TREND_WINDOW;
+        if (!isCooldownActive()) evaluateLive(entry.period);
+    } else if (entry.status === 'Cooldown' && (entry.paperStatus === 'Win' || entry.paperStatus === 'Loss')) {
+        if (!isCooldownActive()) return; // Settled after the machine already left cooldown
+        defensive.paperOutcomes.unshift(entry.paperStatus === 'Win' ? 1 : 0);
+        if (defensive.paperOutcomes.length > MAX_PAPER_OUTCOMES) defensive.paperOutcomes.pop();
+        evaluatePaper(entry.period);
+    }
+}
+
+// --- Reporting ---
+
+export function getDefensiveReport() {
+    const live = defensive.liveOutcomes.slice(0, runtimeConfig.BAD_TREND_WINDOW);
+    return {
+        state: defensive.state,
+        systemHealth: getSystemHealthForState(),
+        cooldown: isCooldownActive(),
+        enteredAt: defensive.enteredAt,
+        enteredAtPeriod: defensive.enteredAtPeriod,
+        live: { samples: live.length, accuracy: accuracy(live), lossStreak: lossStreak(defensive.liveOutcomes) },
+        paper: { samples: defensive.paperOutcomes.length, accuracy: accuracy(defensive.paperOutcomes.slice(0, runtimeConfig.RECOVERY_WINDOW)) },
+        thresholds: {
+            badTrend: getBadTrendThreshold(),
+            caution: getBadTrendThreshold() + runtimeConfig.CAUTION_MARGIN,
+            recoveryEntry: runtimeConfig.RECOVERY_ENTRY_ACCURACY,
+            recoveryExit: runtimeConfig.RECOVERY_EXIT_ACCURACY
+        },
+        transitions: defensive.transitions.map(t => ({ ...t }))
+    };
+}
+
+// --- Snapshots ---
+
+export function getDefensiveSnapshot() {
+    return structuredClone(defensive);
+}
+
+// Snapshots from before the state machine only carried systemState.DEFENSIVE_MODE_ACTIVE.
+export function restoreDefensiveState(snapshot, legacyDefensiveActive = false) {
+    defensive = createDefensiveState();
+    if (snapshot && DEFENSIVE_STATES.includes(snapshot.state)) {
+        Object.assign(defensive, structuredClone(snapshot));
+    } else if (legacyDefensiveActive) {
+        defensive.state = 'DEFENSIVE';
+    }
+}
@@ -0,0 +1,47 @@
+// explain.js - Prediction Explainability
+// Rebuilds a human-readable account of how a prediction was reached from what the
+// prediction ledger recorded when it was issued.
+
+export function buildExplanation(entry) {
+    if (!entry) return null;
+
+    const contributions = entry.featureContributions || {};
+    const features = Object.entries(contributions)
+        .map(([name, c]) => ({ name, value: c.value, weight: c.weight, bigContribution: c.big, smallContribution: c.small, net: c.big - c.small }))
+        .sort((a, b) => Math.abs(b.net) - Math.abs(a.net));
+
+    // During COOLDOWN the served prediction is withheld; the model's own call is the paper one
+    const primaryCall = entry.paperPrediction ?? (entry.prediction === 'BIG' || entry.prediction === 'SMALL' ? entry.prediction : null);
+
+    return {
+        period: entry.period,
+        prediction: entry.prediction,
+        confidence: entry.confidence,
+        confidenceLevel: entry.confidenceLevel,
+        systemHealth: entry.systemHealth,
+        source: entry.source,
+        status: entry.status,
+        paperPrediction: entry.paperPrediction ?? null,
+        paperStatus: entry.paperStatus ?? null,
+        // Absent while the model is warming up or was uncertain: those decisions are coin flips
+        modelDriven: entry.mlFeatures !== null && entry.featureContributions !== null,
+        featureVector: entry.mlFeatures,
+        primaryModel: entry.primaryScores ? {
+            bigScore: entry.primaryScores.big,
+            smallScore: entry.primaryScores.small,
+            probabilityBig: entry.primaryScores.probabilityBig ?? null,
+            bias: entry.primaryScores.bias ?? null,
+            features
+        } : null,
+        advisors: (entry.advisorySignals || []).map(signal => ({
+            model: signal.model,
+            vote: signal.prediction,
+            agreesWithPrimary: primaryCall === null ? null : signal.prediction === primaryCall,
+            reason: signal.reason || signal.source,
+            weight: signal.weight,
+            muted: signal.muted
+        })),
+        confidenceAdjustments: entry.confidenceBreakdown,
+        shadowPredictions: entry.shadowPredictions || []
+    };
+}
@@ -0,0 +1,177 @@
+// features.js - Feature Engineering for the Primary Model
+// Every input of the primary model is declared here exactly once: how it is computed from
+// the history, the scale that brings it into [-1, 1], and its default weight (state.js
+// seeds mlFeatureWeights from this registry). With a positive weight, a positive value
+// leans BIG and a negative value leans SMALL.
+
+import { buildIndicatorEngine } from './utils.js';
+import { getMarketSentimentFactor } from './market_sentiment.js';
+
+const DIGIT_FREQUENCY_WINDOWS = [20, 50];
+const EXPECTED_DIGIT_FREQUENCY = 0.1;
+const EXPECTED_DIGIT_GAP = 10;
+
+// --- Feature Registry ---
+
+const featureRegistry = new Map();
+
+// `compute(context)` returns the raw value (null counts as 0); it is divided by `scale`
+// and clamped to [-1, 1].
+export function registerFeature(name, compute, { weight, scale = 1, description = '' }) {
+    if (!Number.isFinite(weight)) throw new Error(`Feature '${name}' needs a default weight.`);
+    featureRegistry.set(name, { name, compute, weight, scale, description });
+}
+
+export function getFeatureDefinitions() {
+    return [...featureRegistry.values()].map(({ name, weight, scale, description }) => ({ name, defaultWeight: weight, scale, description }));
+}
+
+export function getDefaultFeatureWeights() {
+    return Object.fromEntries([...featureRegistry.values()].map(({ name, weight }) => [name, weight]));
+}
+
+function normalise(value, scale) {
+    if (!Number.isFinite(value) || value === 0) return 0;
+    return Math.max(-1, Math.min(1, value / scale));
+}
+
+// `history` is newest first. Indicator readings come from `indicators`, an engine with the
+// default periods that has seen the same results (see utils.js); without one, it is built
+// from the history. Values are shared between features through the context.
+export function computeFeatures(history, indicators = null) {
+    const numbers = history.map(e => e.actualNumber).filter(n => !isNaN(n));
+    const engine = indicators || buildIndicatorEngine(numbers);
+    const context = { history, numbers, indicators: engine, rsi: engine.rsi, trend: getTrendContext(engine) };
+
+    const features = {};
+    for (const { name, compute, scale } of featureRegistry.values()) {
+        features[name] = normalise(compute(context) ?? 0, scale);
+    }
+    return features;
+}
+
+// --- Shared Helpers ---
+
+function getTrendContext(indicators) {
+    const shortMA = indicators.ema[5];
+    const mediumMA = indicators.ema[10];
+    const longMA = indicators.ema[20];
+    if (shortMA === null || mediumMA === null || longMA === null) return { strength: "UNKNOWN", direction: "NONE" };
+
+    let direction = "NONE", strength = "WEAK";
+    if (shortMA > mediumMA && mediumMA > longMA) {
+        direction = "BIG";
+        strength = "STRONG";
+    } else if (shortMA < mediumMA && mediumMA < longMA) {
+        direction = "SMALL";
+        strength = "STRONG";
+    } else {
+        strength = "RANGING";
+    }
+    return { strength, direction };
+}
+
+// Digit-level features point toward the side the digit belongs to.
+function digitSide(digit) {
+    return digit >= 5 ? 1 : -1;
+}
+
+function isOdd(n) {
+    return n % 2 === 1;
+}
+
+// --- Core Indicators ---
+
+registerFeature('rsi_strength', ({ rsi }) => rsi ? (rsi - 50) / 50 : 0, {
+    weight: 1.5, description: "RSI(14) distance from 50"
+});
+registerFeature('rsi_is_overbought', ({ rsi }) => rsi && rsi > 70 ? 1 : 0, {
+    weight: -2.0, description: "RSI(14) above 70"
+});
+registerFeature('rsi_is_oversold', ({ rsi }) => rsi && rsi < 30 ? -1 : 0, {
+    weight: 2.0, description: "RSI(14) below 30"
+});
+registerFeature('macd_hist', ({ indicators }) => {
+    const { line: macdLine, signal: signalLine } = indicators.macd;
+    return macdLine && signalLine ? macdLine - signalLine : 0;
+}, { weight: 2.5, description: "MACD(12, 26) minus its 9-period signal line" });
+registerFeature('trend_strength_score', ({ trend }) => trend.strength === 'STRONG' ? (trend.direction.includes('BIG') ? 1 : -1) : 0, {
+    weight: 3.0, description: "Stacked EMA(5/10/20) trend direction"
+});
+
+// --- Price Action & Volatility ---
+
+registerFeature('bollinger_pct_reversal', ({ numbers, indicators }) => {
+    const { middle, stdDev, upper: upperBand, lower: lowerBand } = indicators.bollinger;
+    if (!middle || !stdDev) return 0;
+    if (upperBand - lowerBand <= 0) return 0;
+    const bollingerPct = (numbers[0] - lowerBand) / (upperBand - lowerBand);
+    return bollingerPct > 1 ? bollingerPct - 1 : (bollingerPct < 0 ? bollingerPct : 0);
+}, { weight: -2.5, description: "How far the last result closed outside the Bollinger bands" });
+registerFeature('last_move', ({ numbers }) => numbers[0] > numbers[1] ? 1 : -1, {
+    weight: 0.5, description: "Direction of the last move"
+});
+// Recent vs prior 20-period volatility, signed by the last move it would carry forward
+registerFeature('volatility_expansion', ({ numbers, indicators }) => {
+    const period = indicators.periods.band;
+    if (indicators.count < period * 2) return 0;
+    const recentVol = indicators.stdDevHistory[0];
+    const priorVol = indicators.stdDevHistory[period]; // Over the `period` results before those
+    if (!recentVol || !priorVol) return 0;
+    return (recentVol / priorVol - 1) * (numbers[0] > numbers[1] ? 1 : -1);
+}, { weight: 1.2, description: "Volatility expansion in the direction of the last move" });
+
+// --- External Factors ---
+
+registerFeature('market_sentiment', () => getMarketSentimentFactor(), {
+    weight: 1.0, description: "Aggregated sentiment signals (see market_sentiment.js)"
+});
+
+// --- Oscillators ---
+
+registerFeature('stochastic_k', ({ indicators }) => {
+    const { ratio } = indicators.stochastic;
+    return ratio === null ? 0 : ratio - 0.5; // %K centred on 50
+}, { weight: -1.8, scale: 0.5, description: "Stochastic %K(14), a reversal signal" });
+registerFeature('rsi_trend_strength', ({ indicators, rsi }) => {
+    if (rsi === null) return 0;
+    const rsiSeries = indicators.rsiHistory.slice(0, 9);
+    if (rsiSeries.length < 9) return 0;
+    return rsi - rsiSeries.reduce((a, b) => a + b, 0) / rsiSeries.length;
+}, { weight: 1.0, scale: 20, description: "RSI(14) against its 9-period average" });
+
+// --- Digit-Level Features ---
+
+for (const window of DIGIT_FREQUENCY_WINDOWS) {
+    for (let digit = 0; digit <= 9; digit++) {
+        registerFeature(`digit_freq_${window}_${digit}`, ({ numbers }) => {
+            if (numbers.length < window) return 0;
+            const frequency = numbers.slice(0, window).filter(n => n === digit).length / window;
+            return (frequency - EXPECTED_DIGIT_FREQUENCY) * digitSide(digit);
+        }, { weight: 0.2, scale: EXPECTED_DIGIT_FREQUENCY, description: `How over-represented ${digit} is in the last ${window} results` });
+    }
+}
+
+for (let digit = 0; digit <= 9; digit++) {
+    registerFeature(`digit_gap_${digit}`, ({ numbers }) => {
+        const lastSeen = numbers.indexOf(digit);
+        const gap = lastSeen === -1 ? numbers.length : lastSeen;
+        return (gap - EXPECTED_DIGIT_GAP) * digitSide(digit);
+    }, { weight: 0.2, scale: EXPECTED_DIGIT_GAP, description: `Results since ${digit} last appeared, against the expected ${EXPECTED_DIGIT_GAP}` });
+}
+
+// --- Parity ---
+
+// Length of the current odd (+) or even (-) run
+registerFeature('parity_run', ({ numbers }) => {
+    if (numbers.length === 0) return 0;
+    const odd = isOdd(numbers[0]);
+    let length = 0;
+    while (length < numbers.length && isOdd(numbers[length]) === odd) length++;
+    return odd ? length : -length;
+}, { weight: 0.1, scale: 5, description: "Current odd/even run, odd positive" });
+registerFeature('parity_balance', ({ numbers }) => {
+    const window = numbers.slice(0, 20);
+    if (window.length === 0) return 0;
+    return window.filter(isOdd).length / window.length - 0.5;
+}, { weight: 0.1, scale: 0.5, description: "Odd share of the last 20 results, odd positive" });
@@ -0,0 +1,149 @@
+// games.js - Multi-Game Registry
+// Each game (e.g. 1-min, 3-min, 5-min tables) owns a fully isolated session and model state.
+// The model modules keep their state in module-level singletons, so a game's state is
+// swapped into them for the duration of a (synchronous) cycle and captured back afterwards.
+
+import { createSession } from './prediction_cycle.js';
+import { getStateSnapshot, restoreStateSnapshot } from './state.js';
+import { getMarketSentimentSnapshot, restoreMarketSentiment } from './market_sentiment.js';
+import { getAdvisoryPerformanceSnapshot, restoreAdvisoryPerformance } from './advisory_models.js';
+import { getAccuracyTotalsSnapshot, restoreAccuracyTotals } from './stats.js';
+import { getRandomSnapshot, restoreRandomState } from './random.js';
+import { getChampionChallengerSnapshot, restoreChampionChallenger } from './champion_challenger.js';
+import { getDefensiveSnapshot, restoreDefensiveState } from './defensive_mode.js';
+import { runtimeConfig } from './config.js';
+
+export const DEFAULT_GAME_ID = 'default';
+const MAX_GAMES = 20;
+export const GAME_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const games = new Map();
+
+// --- Game Lifecycle ---
+
+export function isValidGameId(gameId) {
+    return typeof gameId === 'string' && GAME_ID_PATTERN.test(gameId);
+}
+
+function createGame(gameId) {
+    return {
+        gameId,
+        session: createSession(),
+        modelState: null, // null means "factory defaults" until the first cycle runs
+        createdAt: Date.now(),
+        lastActivityAt: null
+    };
+}
+
+export function getGame(gameId) {
+    return games.get(gameId) || null;
+}
+
+export function getOrCreateGame(gameId = DEFAULT_GAME_ID) {
+    if (!isValidGameId(gameId)) {
+        throw new Error(`Invalid gameId '${gameId}'.`);
+    }
+    let game = games.get(gameId);
+    if (!game) {
+        if (games.size >= MAX_GAMES) {
+            throw new Error(`Game limit of ${MAX_GAMES} reached.`);
+        }
+        game = createGame(gameId);
+        games.set(gameId, game);
+    }
+    return game;
+}
+
+export function getAllGames() {
+    return [...games.values()];
+}
+
+// Frees the game's slot; its state is gone once the next snapshot is saved.
+export function deleteGame(gameId) {
+    return games.delete(gameId);
+}
+
+// --- Model State Isolation ---
+
+export function captureModelState() {
+    return {
+        ...getStateSnapshot(),
+        marketEvents: getMarketSentimentSnapshot(),
+        advisoryPerformance: getAdvisoryPerformanceSnapshot(),
+        accuracyTotals: getAccuracyTotalsSnapshot(),
+        random: getRandomSnapshot(),
+        championChallenger: getChampionChallengerSnapshot(),
+        defensive: getDefensiveSnapshot()
+    };
+}
+
+// Passing null loads factory defaults.
+export function restoreModelState(modelState) {
+    restoreStateSnapshot(modelState);
+    restoreMarketSentiment(modelState?.marketEvents);
+    restoreAdvisoryPerformance(modelState?.advisoryPerformance);
+    restoreAccuracyTotals(modelState?.accuracyTotals);
+    restoreRandomState(modelState?.random);
+    restoreChampionChallenger(modelState?.championChallenger);
+    restoreDefensiveState(modelState?.defensive, modelState?.systemState?.DEFENSIVE_MODE_ACTIVE === true);
+}
+
+export function withGameContext(game, fn) {
+    restoreModelState(game.modelState);
+    try {
+        const result = fn(game.session);
+        if (result instanceof Promise) {
+            throw new Error("withGameContext only supports synchronous work.");
+        }
+        return result;
+    } finally {
+        game.modelState = captureModelState();
+    }
+}
+
+export function getGameModelState(game) {
+    if (game.modelState) return game.modelState;
+    // Singletons are always re-seeded on entering a context, so reading defaults through them is safe.
+    restoreModelState(null);
+    return captureModelState();
+}
+
+// --- Health & Persistence ---
+
+export function getGameHealth(game) {
+    const { session } = game;
+    const modelState = getGameModelState(game);
+    const minHistory = runtimeConfig.MIN_HISTORY;
+    return {
+        gameId: game.gameId,
+        historyLength: session.history.length,
+        minHistory,
+        warmedUp: session.history.length >= minHistory,
+        lastProcessedPeriod: session.lastProcessedPeriod,
+        nextPeriod: session.currentPrediction ? session.currentPrediction.period : null,
+        systemHealth: session.currentPrediction ? session.currentPrediction.systemHealth : 'NO_DATA',
+        defensiveState: modelState.defensive.state,
+        defensiveMode: modelState.defensive.state === 'DEFENSIVE' || modelState.defensive.state === 'RECOVERY',
+        labelledSamplesSeen: modelState.learnerStats.labelledSamplesSeen,
+        createdAt: game.createdAt,
+        lastActivityAt: game.lastActivityAt
+    };
+}
+
+export function loadGames(savedGames) {
+    games.clear();
+    for (const [gameId, saved] of Object.entries(savedGames || {})) {
+        if (!isValidGameId(gameId)) continue;
+        const game = createGame(gameId);
+        const session = saved.session || {};
+        game.session.lastProcessedPeriod = session.lastProcessedPeriod ?? null;
+        game.session.history = Array.isArray(session.history) ? session.history : [];
+        game.session.sharedStats = session.sharedStats || {};
+        game.session.currentPrediction = session.currentPrediction ?? null;
+        game.session.ledger = Array.isArray(session.ledger) ? session.ledger : [];
+        game.modelState = saved.modelState || null;
+        game.createdAt = saved.createdAt || game.createdAt;
+        game.lastActivityAt = saved.lastActivityAt || null;
+        games.set(gameId, game);
+    }
+}
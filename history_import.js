@@ -0,0 +1,71 @@
+// history_import.js - Bulk History Bootstrap
+// Lets a client that already holds recent results seed a game's history in one call
+// instead of waiting out the MIN_HISTORY cold start period by period.
+
+import { processGameResult } from './prediction_cycle.js';
+import { runtimeConfig } from './config.js';
+import { comparePeriods, getBigSmallFromNumber, getResultTimestamp, normaliseResultRecords } from './utils.js';
+
+export const MAX_IMPORT_RECORDS = 5000;
+
+function createImportedEntry(record) {
+    return {
+        period: record.issueNumber,
+        actual: record.number,
+        actualNumber: record.number,
+        resultType: getBigSmallFromNumber(record.number),
+        prediction: null,
+        confidence: null,
+        confidenceLevel: null,
+        source: null,
+        status: 'Imported', // No prediction was issued for imported periods
+        timestamp: getResultTimestamp(record)
+    };
+}
+
+// Merges results into the session history. With `replay`, results newer than the last
+// processed period are instead fed through the full prediction cycle, so the ledger and
+// the learner are warm by the time the first live result arrives; `onCycle` receives each
+// replayed cycle's outcome, as processGameResult returns it.
+// Must run inside the game's context (see games.js) when replaying.
+export function importHistory(session, records, { replay = false, onCycle = null } = {}) {
+    const { valid, rejected, duplicates } = normaliseResultRecords(records);
+    const knownPeriods = new Set(session.history.map(entry => entry.period));
+    const fresh = valid.filter(record => !knownPeriods.has(record.issueNumber));
+
+    const lastProcessed = session.lastProcessedPeriod;
+    const isNewer = record => lastProcessed === null || comparePeriods(record.issueNumber, lastProcessed) > 0;
+    const toReplay = replay ? fresh.filter(isNewer) : [];
+    const toMerge = replay ? fresh.filter(record => !isNewer(record)) : fresh;
+
+    let imported = 0;
+    if (toMerge.length > 0) {
+        const mergedPeriods = new Set(toMerge.map(record => record.issueNumber));
+        session.history = [...session.history, ...toMerge.map(createImportedEntry)]
+            .sort((a, b) => comparePeriods(b.period, a.period))
+            .slice(0, runtimeConfig.MAX_HISTORY_LENGTH);
+        session.indicators = null; // Rebuilt from the merged history on the next cycle
+        // Results older than a full history window are dropped rather than kept
+        imported = session.history.filter(entry => mergedPeriods.has(entry.period)).length;
+
+        const newestMerged = toMerge[toMerge.length - 1].issueNumber;
+        if (lastProcessed === null || comparePeriods(newestMerged, lastProcessed) > 0) {
+            session.lastProcessedPeriod = newestMerged;
+        }
+    }
+
+    for (const record of toReplay) {
+        const cycle = processGameResult(session, record);
+        if (onCycle) onCycle(cycle);
+    }
+
+    return {
+        received: Array.isArray(records) ? records.length : 0,
+        imported,
+        replayed: toReplay.length,
+        duplicates: duplicates + (valid.length - fresh.length),
+        discarded: toMerge.length - imported,
+        rejected: rejected.length,
+        historyLength: session.history.length
+    };
+}
@@ -0,0 +1,121 @@
+// history_query.js - History Query & Export
+// Serves a game's history page by page (GET /history) and in bulk as CSV or NDJSON
+// (GET /history/export). Each entry carries the prediction that was issued for its period
+// and how it settled, joined from the ledger while the ledger still holds it.
+
+import { comparePeriods, parseTimestamp } from './utils.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+export const HISTORY_STATUSES = ['Win', 'Loss', 'Cooldown', 'Pending', 'Imported'];
+
+export const EXPORT_COLUMNS = [
+    'period', 'actualNumber', 'resultType', 'prediction', 'confidence', 'confidenceLevel', 'source',
+    'status', 'paperPrediction', 'paperStatus', 'issuedAt', 'settledAt', 'timestamp'
+];
+
+// --- Filters ---
+
+function listFilter(value, parse = v => v) {
+    return value === undefined ? null : new Set(value.split(',').map(parse));
+}
+
+// Turns validated query parameters (see QUERY_SCHEMAS in validation.js) into filters.
+export function parseHistoryFilters(query) {
+    return {
+        fromPeriod: query.fromPeriod ?? null,
+        toPeriod: query.toPeriod ?? null,
+        status: listFilter(query.status),
+        resultType: listFilter(query.resultType),
+        confidenceLevel: listFilter(query.confidenceLevel, Number),
+        source: listFilter(query.source),
+        from: query.from === undefined ? null : parseTimestamp(query.from),
+        to: query.to === undefined ? null : parseTimestamp(query.to)
+    };
+}
+
+function matchesFilters(entry, filters) {
+    if (filters.fromPeriod !== null && comparePeriods(entry.period, filters.fromPeriod) < 0) return false;
+    if (filters.toPeriod !== null && comparePeriods(entry.period, filters.toPeriod) > 0) return false;
+    if (filters.status && !filters.status.has(entry.status)) return false;
+    if (filters.resultType && !filters.resultType.has(entry.resultType)) return false;
+    if (filters.confidenceLevel && !filters.confidenceLevel.has(entry.confidenceLevel)) return false;
+    if (filters.source && !filters.source.has(entry.source)) return false;
+    if (filters.from !== null && !(entry.timestamp >= filters.from)) return false;
+    if (filters.to !== null && !(entry.timestamp <= filters.to)) return false;
+    return true;
+}
+
+// --- Entries ---
+
+function toQueryEntry(entry, ledgerEntry) {
+    return {
+        period: entry.period,
+        actualNumber: entry.actualNumber,
+        resultType: entry.resultType,
+        prediction: entry.prediction,
+        confidence: entry.confidence,
+        confidenceLevel: entry.confidenceLevel,
+        source: entry.source,
+        status: entry.status,
+        paperPrediction: ledgerEntry ? ledgerEntry.paperPrediction : null, // The withheld call of a COOLDOWN period
+        paperStatus: ledgerEntry ? ledgerEntry.paperStatus : null,
+        issuedAt: ledgerEntry ? ledgerEntry.issuedAt : null,
+        settledAt: ledgerEntry ? ledgerEntry.settledAt : null,
+        timestamp: entry.timestamp
+    };
+}
+
+// Matching entries, newest first.
+export function findHistoryEntries(session, filters) {
+    const ledgerByPeriod = new Map(session.ledger.map(entry => [entry.period, entry]));
+    return session.history
+        .filter(entry => matchesFilters(entry, filters))
+        .map(entry => toQueryEntry(entry, ledgerByPeriod.get(entry.period)));
+}
+
+// --- Pagination ---
+
+// Cursors name the last period served, so a page stays put when newer results arrive.
+export function encodeCursor(period) {
+    return Buffer.from(JSON.stringify({ before: period })).toString('base64url');
+}
+
+// Returns the period to continue before, or null when the cursor is not one of ours.
+export function decodeCursor(cursor) {
+    try {
+        const { before } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return typeof before === 'string' && /^\d{1,32}$/.test(before) ? before : null;
+    } catch {
+        return null;
+    }
+}
+
+export function queryHistory(session, filters, { before = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const matching = findHistoryEntries(session, filters);
+    const remaining = before === null ? matching : matching.filter(entry => comparePeriods(entry.period, before) < 0);
+    const entries = remaining.slice(0, limit);
+    const hasMore = remaining.length > entries.length;
+    return {
+        entries,
+        totalMatching: matching.length,
+        nextCursor: hasMore ? encodeCursor(entries[entries.length - 1].period) : null
+    };
+}
+
+// --- Export ---
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(entries) {
+    const rows = entries.map(entry => EXPORT_COLUMNS.map(column => csvField(entry[column])).join(','));
+    return `${[EXPORT_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+export function toNdjson(entries) {
+    return entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+}
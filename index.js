@@ -1,120 +1,637 @@
 // index.js - SEROX AI Backend Server
 // VERSION 6.0 - Final Architecture (Frontend-First Data Fetching)
 // =================================================================
+import { randomUUID } from 'crypto';
 import express from 'express';
 import cors from 'cors';
 
 // --- Core Application Imports ---
-import { ultraAIPredict } from './main.js';
-import { getBigSmallFromNumber } from './utils.js';
+import { processGameResult } from './prediction_cycle.js';
+import { createStorageFromEnv, captureSnapshot, restoreSnapshot } from './storage.js';
+import { findPrediction, getLedgerStats } from './ledger.js';
+import { importHistory } from './history_import.js';
+import { DEFAULT_PAGE_SIZE, decodeCursor, findHistoryEntries, parseHistoryFilters, queryHistory, toCsv, toNdjson } from './history_query.js';
+import { getAdvisoryModelStats } from './advisory_models.js';
+import { getCalibrationReport } from './calibration.js';
+import { analyzeRandomness } from './randomness.js';
+import { normaliseResultRecords } from './utils.js';
+import { buildExplanation } from './explain.js';
+import { getFeatureDefinitions } from './features.js';
+import { parseModel, serialiseModel } from './logistic_model.js';
+import { loadMLCoefficients } from './state.js';
+import { getConfigReport, updateConfig } from './config.js';
+import { getDefensiveReport } from './defensive_mode.js';
+import { ERROR_CODES, QUERY_SCHEMAS, REQUEST_SCHEMAS, sendError, sendValidationError, validateBody, validateQuery } from './validation.js';
+import { createLogger, runWithLogContext } from './logger.js';
+import { getAuthSummary, getCorsOptions, requireRole } from './auth.js';
+import { METRICS_CONTENT_TYPE, recordCycleMetrics, recordHttpRequest, renderMetrics } from './metrics.js';
+import {
+    DEFAULT_PROMOTION_PERIODS,
+    getChampionChallengerReport,
+    promoteChallenger,
+    rollbackConfiguration,
+    saveConfiguration,
+    startChallenger,
+    stopChallenger
+} from './champion_challenger.js';
+import { computeStats, DEFAULT_STATS_WINDOWS } from './stats.js';
+import { createIngestorFromEnv } from './ingestion.js';
+import { getRandomSeed, seedRandom } from './random.js';
+import { getActiveSignals, getMarketSentimentFactor, getSentimentProviders, pushSentimentSignal } from './market_sentiment.js';
+import { closeStream, getSubscriberCount, publishCycleEvents, publishEvent, subscribe } from './realtime.js';
+import {
+    DEFAULT_GAME_ID,
+    deleteGame,
+    getAllGames,
+    getGame,
+    getGameHealth,
+    getGameModelState,
+    getOrCreateGame,
+    isValidGameId,
+    withGameContext
+} from './games.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const log = createLogger('server');
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
 
-// Middleware
-app.use(cors({ origin: '*' }));
-app.use(express.json());
+// Behind a load balancer, TRUST_PROXY (a hop count or 'true') makes req.ip the client's address,
+// which anonymous rate limits are keyed on.
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true');
+}
+
+// Every request gets a correlation id (the caller's X-Request-Id when it is usable), echoed
+// back in the response and attached to every log line written while handling it.
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    const startedAt = process.hrtime.bigint();
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+        const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        recordHttpRequest(req.method, route, res.statusCode, durationSeconds);
+        const fields = { requestId, client: req.apiClient?.name ?? null, method: req.method, path: req.path, route, status: res.statusCode, durationMs: Math.round(durationSeconds * 1e4) / 10 };
+        if (res.statusCode >= 500) log.warn("Request failed.", fields); // Handler errors are logged where they occur
+        else log.info("Request handled.", fields);
+    });
+
+    runWithLogContext({ requestId }, next);
+});
+
+// Middleware (CORS first, so rejections still carry CORS headers; access control is per route, see auth.js)
+app.use(cors(getCorsOptions()));
+app.use(express.json({ limit: '1mb' })); // Room for bulk history imports
 
-// Server state variables (in-memory storage)
-let lastProcessedPeriod = null;
-let inMemoryHistory = [];
-let inMemorySharedStats = {};
-let inMemoryCurrentPrediction = null;
-const MAX_HISTORY_LENGTH = 150;
+// Server state (in-memory storage, one isolated session per game)
+const storage = createStorageFromEnv();
+
+function persistGames() {
+    storage.save(captureSnapshot()).catch(error => {
+        log.error("Failed to persist state snapshot.", { error });
+    });
+}
+
+// Runs one result through a game's prediction cycle and fans the outcome out to
+// live subscribers and storage. Shared by /predict and server-side ingestion.
+function runGameCycle(game, gameResult) {
+    const previousHealth = game.session.currentPrediction?.systemHealth || null;
+    const cycle = withGameContext(game, session => processGameResult(session, gameResult));
+    game.lastActivityAt = Date.now();
+    recordCycleMetrics(game.gameId, cycle);
+    if (cycle.aiDecision) {
+        const { period, prediction, confidence, confidenceLevel, source, systemHealth } = cycle.currentPrediction;
+        log.info(`[${game.gameId}] ${prediction} for period ${period} @ Lvl:${confidenceLevel}.`, { gameId: game.gameId, period, prediction, confidence, confidenceLevel, source, systemHealth });
+    }
+    publishCycleEvents(game.gameId, cycle, previousHealth);
+    if (!cycle.duplicate) persistGames();
+    return cycle;
+}
+
+// Server-side ingestion (disabled unless INGEST_SOURCE is set)
+const INGEST_GAME_ID = process.env.INGEST_GAME_ID || DEFAULT_GAME_ID;
+const ingestor = createIngestorFromEnv(record => runWithLogContext({ requestId: randomUUID(), source: 'ingestion' }, () => {
+    const cycle = runGameCycle(getOrCreateGame(INGEST_GAME_ID), record);
+    if (cycle.anomaly) {
+        log.warn(`[${INGEST_GAME_ID}] ${cycle.anomaly.type} result for period ${cycle.anomaly.period}.`, { gameId: INGEST_GAME_ID, anomaly: cycle.anomaly });
+    }
+}));
+
+// Games are addressed by route (/games/:gameId/...), body or query `gameId`, else the default game.
+// Only routes that submit results (`create`) may start a new game; everything else gets 404 for
+// an unknown id, so reads cannot use up the MAX_GAMES slots. The default game always exists.
+function resolveGame(req, res, { create = false } = {}) {
+    const gameId = String(req.params.gameId || req.body?.gameId || req.query.gameId || DEFAULT_GAME_ID);
+    if (!isValidGameId(gameId)) {
+        sendError(res, 400, ERROR_CODES.INVALID_GAME_ID, `Invalid gameId '${gameId}'.`);
+        return null;
+    }
+    if (!create && gameId !== DEFAULT_GAME_ID) {
+        const game = getGame(gameId);
+        if (!game) sendError(res, 404, ERROR_CODES.NOT_FOUND, `Unknown game '${gameId}'.`);
+        return game;
+    }
+    try {
+        return getOrCreateGame(gameId);
+    } catch (error) {
+        sendError(res, 400, ERROR_CODES.GAME_LIMIT_REACHED, error.message);
+        return null;
+    }
+}
 
 // The main endpoint for the frontend to get predictions
-app.post('/predict', async (req, res) => {
-    // The frontend now sends the game result in the request body
+async function handlePredict(req, res) {
+    // The frontend now sends the game result in the request body (validated by REQUEST_SCHEMAS.predict)
     const { gameResult } = req.body;
 
-    if (!gameResult || !gameResult.issueNumber) {
-        return res.status(400).json({ success: false, message: "Missing gameResult in request body." });
-    }
+    const game = resolveGame(req, res, { create: true });
+    if (!game) return;
 
     try {
-        const endedPeriodFull = gameResult.issueNumber.trim();
+        const cycle = runGameCycle(game, gameResult);
+        const { session } = game;
 
-        // Check if this period has already been processed to prevent duplicates
-        if (endedPeriodFull === lastProcessedPeriod) {
-            console.log(`Backend: Period ${endedPeriodFull} already processed. Sending current data.`);
+        if (cycle.duplicate) {
+            log.info(`[${game.gameId}] Period ${cycle.anomaly.period} already processed. Sending current data.`, { gameId: game.gameId, anomaly: cycle.anomaly });
             return res.json({
                 success: true,
                 message: "Period already processed.",
-                currentPrediction: inMemoryCurrentPrediction,
-                history: inMemoryHistory.slice(0, 50)
+                gameId: game.gameId,
+                anomaly: cycle.anomaly,
+                currentPrediction: cycle.currentPrediction,
+                history: session.history.slice(0, 50)
             });
         }
 
-        const actualNumber = Number(gameResult.number);
-        const actualResultType = getBigSmallFromNumber(actualNumber);
-        const previousSharedPrediction = inMemoryCurrentPrediction;
-
-        // Update the history with the result of the *previous* prediction
-        if (previousSharedPrediction && previousSharedPrediction.period === endedPeriodFull) {
-            let statusOfPreviousPrediction = 'Loss';
-             if (previousSharedPrediction.prediction === 'DEFENSIVE_MODE' || previousSharedPrediction.prediction === 'COOLDOWN') {
-                statusOfPreviousPrediction = 'Cooldown';
-            } else if (actualResultType === previousSharedPrediction.prediction) {
-                statusOfPreviousPrediction = 'Win';
-            }
+        if (cycle.anomaly) {
+            log.warn(`[${game.gameId}] ${cycle.anomaly.type} result for period ${cycle.anomaly.period} (last processed ${cycle.anomaly.lastProcessedPeriod}).`, { gameId: game.gameId, anomaly: cycle.anomaly });
+        }
 
-            // Find the history entry for the prediction we just got the result for and update its status
-            const historyEntryToUpdate = inMemoryHistory.find(entry => entry.period === endedPeriodFull);
-            if(historyEntryToUpdate) {
-                historyEntryToUpdate.status = statusOfPreviousPrediction;
-            }
+        const response = {
+            success: true,
+            message: cycle.late ? "Late result inserted into history." : "Prediction cycle complete.",
+            gameId: game.gameId,
+            anomaly: cycle.anomaly,
+            currentPrediction: cycle.currentPrediction,
+            history: session.history.slice(0, 50)
+        };
 
-            // Pass the results back to the AI for learning
-            inMemorySharedStats.lastActualOutcome = actualNumber;
-            inMemorySharedStats.lastPredictedOutcome = previousSharedPrediction.prediction;
-            inMemorySharedStats.lastConfidenceLevel = previousSharedPrediction.confidenceLevel;
+        // Opt-in: the full reasoning behind the current prediction
+        if (req.query.explain === 'true' || req.body.explain === true) {
+            const period = cycle.currentPrediction ? cycle.currentPrediction.period : null;
+            response.explanation = buildExplanation(findPrediction(session.ledger, period));
         }
 
-        // Add the new result to the top of our history
-        inMemoryHistory.unshift({
-            period: endedPeriodFull,
-            actual: actualNumber,
-            actualNumber: actualNumber,
-            resultType: actualResultType,
-            status: 'Pending', // This will be updated on the next cycle
-            timestamp: Date.now()
-        });
+        res.json(response);
 
-        if (inMemoryHistory.length > MAX_HISTORY_LENGTH) {
-            inMemoryHistory.pop();
-        }
+    } catch (error) {
+        log.error("Error in /predict endpoint.", { gameId: game.gameId, error });
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message || "Internal server error.");
+    }
+}
 
-        lastProcessedPeriod = endedPeriodFull;
-
-        // ---- CALL THE AI CORE ----
-        const aiDecision = ultraAIPredict(inMemoryHistory, inMemorySharedStats);
-        // -------------------------
-
-        const nextPeriodToPredictFull = (BigInt(endedPeriodFull) + 1n).toString();
-        const newPredictionData = {
-            period: nextPeriodToPredictFull,
-            prediction: aiDecision.finalDecision,
-            confidence: aiDecision.finalConfidence ? Math.round(aiDecision.finalConfidence * 100) : 50,
-            confidenceLevel: aiDecision.confidenceLevel,
-            overallLogic: aiDecision.overallLogic,
-            source: aiDecision.source,
-            systemHealth: aiDecision.systemHealth,
-            timestamp: Date.now()
-        };
+app.post('/predict', requireRole('submitter'), validateBody(REQUEST_SCHEMAS.predict), handlePredict);
+app.post('/games/:gameId/predict', requireRole('submitter'), validateBody(REQUEST_SCHEMAS.predict), handlePredict);
+
+// Bulk history bootstrap to skip the MIN_HISTORY cold start
+async function handleHistoryImport(req, res) {
+    const { results, replay } = req.body; // At most MAX_IMPORT_RECORDS, checked by REQUEST_SCHEMAS.historyImport
+
+    const game = resolveGame(req, res, { create: true });
+    if (!game) return;
+
+    try {
+        const previousPrediction = game.session.currentPrediction;
+        const summary = withGameContext(game, session => importHistory(session, results, {
+            replay: replay === true,
+            onCycle: cycle => recordCycleMetrics(game.gameId, cycle)
+        }));
+        game.lastActivityAt = Date.now();
 
-        inMemoryCurrentPrediction = newPredictionData;
+        publishEvent(game.gameId, 'history_import', { ...summary });
+        if (game.session.currentPrediction !== previousPrediction) {
+            publishEvent(game.gameId, 'prediction', { currentPrediction: game.session.currentPrediction });
+        }
+        persistGames();
 
         res.json({
             success: true,
-            message: "Prediction cycle complete.",
-            currentPrediction: newPredictionData,
-            history: inMemoryHistory.slice(0, 50)
+            message: "History import complete.",
+            gameId: game.gameId,
+            ...summary,
+            currentPrediction: game.session.currentPrediction
         });
+    } catch (error) {
+        log.error("Error in /history/import endpoint.", { gameId: game.gameId, error });
+        sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message || "Internal server error.");
+    }
+}
+
+app.post('/history/import', requireRole('submitter'), validateBody(REQUEST_SCHEMAS.historyImport), handleHistoryImport);
+app.post('/games/:gameId/history/import', requireRole('submitter'), validateBody(REQUEST_SCHEMAS.historyImport), handleHistoryImport);
+
+// Paginated history with filters; pass `nextCursor` back as ?cursor= for the next (older) page
+function handleGetHistory(req, res) {
+    let before = null;
+    if (req.query.cursor !== undefined) {
+        before = decodeCursor(req.query.cursor);
+        if (before === null) {
+            return sendValidationError(res, [{ field: 'cursor', code: 'INVALID_VALUE', message: "cursor must be a nextCursor returned by this endpoint." }], "Query validation failed.");
+        }
+    }
+
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    const page = queryHistory(game.session, parseHistoryFilters(req.query), { before, limit });
+    res.json({ success: true, gameId: game.gameId, ...page });
+}
+
+// Every matching entry at once, as CSV (default) or NDJSON
+function handleExportHistory(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    const format = req.query.format || 'csv';
+    const entries = findHistoryEntries(game.session, parseHistoryFilters(req.query));
+    res.attachment(`history-${game.gameId}.${format}`);
+    if (format === 'ndjson') {
+        res.type('application/x-ndjson').send(toNdjson(entries));
+    } else {
+        res.type('text/csv').send(toCsv(entries));
+    }
+}
+
+app.get('/history', requireRole('viewer'), validateQuery(QUERY_SCHEMAS.history), handleGetHistory);
+app.get('/history/export', requireRole('viewer'), validateQuery(QUERY_SCHEMAS.historyExport), handleExportHistory);
+app.get('/games/:gameId/history', requireRole('viewer'), validateQuery(QUERY_SCHEMAS.history), handleGetHistory);
+app.get('/games/:gameId/history/export', requireRole('viewer'), validateQuery(QUERY_SCHEMAS.historyExport), handleExportHistory);
+
+// Active games and their health
+app.get('/games', requireRole('viewer'), (req, res) => {
+    const games = getAllGames().map(game => ({ ...getGameHealth(game), streamSubscribers: getSubscriberCount(game.gameId) }));
+    res.json({ success: true, games });
+});
+
+// Removes a game and its state for good, freeing its slot (admin)
+app.delete('/games/:gameId', requireRole('admin'), (req, res) => {
+    const { gameId } = req.params;
+    if (!deleteGame(gameId)) {
+        return sendError(res, 404, ERROR_CODES.NOT_FOUND, `Unknown game '${gameId}'.`);
+    }
+    closeStream(gameId);
+    persistGames();
+    log.info(`Deleted game '${gameId}'.`, { gameId });
+    res.json({ success: true, gameId, deleted: true });
+});
+
+// Live push of predictions, settlements and health changes (Server-Sent Events)
+function handleStream(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    const cursor = req.get('Last-Event-ID') ?? req.query.cursor ?? null;
+    subscribe(game.gameId, req, res, {
+        cursor,
+        snapshot: {
+            currentPrediction: game.session.currentPrediction,
+            history: game.session.history.slice(0, 50)
+        }
+    });
+}
+
+app.get('/stream', requireRole('viewer', { allowQueryKey: true }), handleStream);
+app.get('/games/:gameId/stream', requireRole('viewer', { allowQueryKey: true }), handleStream);
+
+// Explanation of any prediction still held in the ledger
+function handleExplain(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    const entry = findPrediction(game.session.ledger, req.params.period);
+    if (!entry) {
+        return sendError(res, 404, ERROR_CODES.NOT_FOUND, `No prediction recorded for period ${req.params.period}.`);
+    }
+    res.json({ success: true, gameId: game.gameId, explanation: buildExplanation(entry) });
+}
+
+app.get('/predictions/:period/explain', requireRole('viewer'), handleExplain);
+app.get('/games/:gameId/predictions/:period/explain', requireRole('viewer'), handleExplain);
+
+// Advisory model registry with per-model rolling accuracy for the game
+function handleModels(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    const models = withGameContext(game, () => getAdvisoryModelStats());
+    const weights = getGameModelState(game).mlFeatureWeights;
+    const features = getFeatureDefinitions().map(feature => ({ ...feature, weight: weights[feature.name] }));
+    res.json({ success: true, gameId: game.gameId, models, features });
+}
+
+app.get('/models', requireRole('viewer'), handleModels);
+app.get('/games/:gameId/models', requireRole('viewer'), handleModels);
+
+// Calibration fit, reliability diagram bins and Brier score for the game
+function handleCalibration(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    res.json({ success: true, gameId: game.gameId, ...getCalibrationReport(game.session.ledger) });
+}
+
+app.get('/calibration', requireRole('viewer'), handleCalibration);
+app.get('/games/:gameId/calibration', requireRole('viewer'), handleCalibration);
+
+// Randomness diagnostics over the game's history, or over a dataset posted as { results }
+function handleRandomnessDiagnostics(req, res) {
+    if (req.method === 'POST') {
+        const { results } = req.body;
+        const numbers = normaliseResultRecords(results).valid.map(record => record.number).reverse();
+        return res.json({ success: true, source: 'dataset', ...analyzeRandomness(numbers) });
+    }
+
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    res.json({ success: true, gameId: game.gameId, source: 'history', ...analyzeRandomness(game.session.history) });
+}
+
+app.get('/diagnostics/randomness', requireRole('viewer'), handleRandomnessDiagnostics);
+app.post('/diagnostics/randomness', requireRole('viewer'), validateBody(REQUEST_SCHEMAS.randomnessDataset), handleRandomnessDiagnostics);
+app.get('/games/:gameId/diagnostics/randomness', requireRole('viewer'), handleRandomnessDiagnostics);
+
+// Accuracy and performance statistics over settled predictions, e.g. ?windows=20,50,100
+function handleStats(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    let windows = DEFAULT_STATS_WINDOWS;
+    if (req.query.windows !== undefined) {
+        windows = String(req.query.windows).split(',').map(Number);
+        if (windows.some(size => !Number.isInteger(size) || size <= 0)) {
+            return sendValidationError(res, [{ field: 'windows', code: 'INVALID_FORMAT', message: "'windows' must be a comma-separated list of positive integers." }]);
+        }
+    }
+
+    const stats = withGameContext(game, session => computeStats(session.ledger, { windows }));
+    res.json({ success: true, gameId: game.gameId, ...stats });
+}
+
+app.get('/stats', requireRole('viewer'), handleStats);
+app.get('/games/:gameId/stats', requireRole('viewer'), handleStats);
+
+// Seeds (or with a null seed, unseeds) the game's random generator for reproducible runs
+function handleSeed(req, res) {
+    const { seed } = req.body; // An integer, a non-empty string or null
+
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    const appliedSeed = withGameContext(game, () => seedRandom(seed));
+    persistGames();
+    res.json({ success: true, gameId: game.gameId, seed: appliedSeed });
+}
+
+function handleGetSeed(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+    res.json({ success: true, gameId: game.gameId, seed: withGameContext(game, () => getRandomSeed()) });
+}
 
+app.get('/seed', requireRole('viewer'), handleGetSeed);
+app.post('/seed', requireRole('admin'), validateBody(REQUEST_SCHEMAS.seed), handleSeed);
+app.get('/games/:gameId/seed', requireRole('viewer'), handleGetSeed);
+app.post('/games/:gameId/seed', requireRole('admin'), validateBody(REQUEST_SCHEMAS.seed), handleSeed);
+
+// Learner inspection: how many labelled predictions the weight learner has trained on
+function handleLearner(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    const modelState = getGameModelState(game);
+    res.json({
+        success: true,
+        gameId: game.gameId,
+        ledger: getLedgerStats(game.session.ledger),
+        learner: { ...modelState.learnerStats },
+        bias: modelState.mlBias,
+        weights: { ...modelState.mlFeatureWeights }
+    });
+}
+
+app.get('/learner', requireRole('viewer'), handleLearner);
+app.get('/games/:gameId/learner', requireRole('viewer'), handleLearner);
+
+// Defensive state machine: current state, rolling live and paper accuracy, and recent transitions
+function handleDefensive(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    res.json({ success: true, gameId: game.gameId, ...withGameContext(game, () => getDefensiveReport()) });
+}
+
+app.get('/defensive', requireRole('viewer'), handleDefensive);
+app.get('/games/:gameId/defensive', requireRole('viewer'), handleDefensive);
+
+// Primary model coefficients: GET serialises them, POST loads a trained model (see train.js)
+function handleGetModel(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    const modelState = getGameModelState(game);
+    const model = serialiseModel(
+        { bias: modelState.mlBias, weights: modelState.mlFeatureWeights },
+        { gameId: game.gameId, exportedAt: Date.now(), trainingRuns: modelState.learnerStats.trainingRuns }
+    );
+    res.json({ success: true, gameId: game.gameId, model });
+}
+
+function handleLoadModel(req, res) {
+    let coefficients;
+    try {
+        coefficients = parseModel(req.body?.model ?? req.body, getFeatureDefinitions().map(feature => feature.name));
+    } catch (error) {
+        return sendValidationError(res, [{ field: 'model', code: 'INVALID_VALUE', message: error.message }], error.message);
+    }
+
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    withGameContext(game, () => loadMLCoefficients(coefficients));
+    persistGames();
+    res.json({ success: true, gameId: game.gameId, bias: coefficients.bias, features: Object.keys(coefficients.weights).length });
+}
+
+app.get('/model', requireRole('viewer'), handleGetModel);
+app.post('/model', requireRole('admin'), validateBody(REQUEST_SCHEMAS.model), handleLoadModel);
+app.get('/games/:gameId/model', requireRole('viewer'), handleGetModel);
+app.post('/games/:gameId/model', requireRole('admin'), validateBody(REQUEST_SCHEMAS.model), handleLoadModel);
+
+// Runtime configuration (see config.js); admin keys only, CONFIG_ADMIN_TOKEN included.
+app.get('/config', requireRole('admin'), (req, res) => {
+    res.json({ success: true, ...getConfigReport() });
+});
+
+// Body maps keys to values (null restores the file/env value). All changes apply together or not at all.
+// The audit names the authenticated key; an X-Actor header is only recorded as a note.
+app.patch('/config', requireRole('admin'), validateBody(REQUEST_SCHEMAS.configPatch), (req, res) => {
+    const actor = `${req.apiClient.name}@${req.ip}`;
+    const note = req.get('X-Actor') ? `X-Actor: ${req.get('X-Actor').slice(0, 200)}` : null;
+    const result = updateConfig(req.body, actor, note);
+    if (result.errors) {
+        const errors = result.errors.map(({ key, message }) => ({ field: key, code: 'INVALID_VALUE', message }));
+        return sendValidationError(res, errors, "Configuration rejected; nothing was changed.");
+    }
+    persistGames();
+    res.json({ success: true, changes: result.changes, values: getConfigReport().values });
+});
+
+// Champion/challenger: versioned model configurations evaluated in shadow (admin endpoints)
+function handleGetConfigurations(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    const periods = Number(req.query.periods) || DEFAULT_PROMOTION_PERIODS;
+    res.json({ success: true, gameId: game.gameId, ...withGameContext(game, () => getChampionChallengerReport({ periods })) });
+}
+
+// Saves { name, note, config } as the next version of `name`; without a config the live champion is saved.
+function handleSaveConfiguration(req, res) {
+    const { name, note, config } = req.body;
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    try {
+        const saved = withGameContext(game, () => saveConfiguration(name, { config: config || {}, note }));
+        persistGames();
+        res.json({ success: true, gameId: game.gameId, ...saved });
+    } catch (error) {
+        sendValidationError(res, [{ field: 'config', code: 'INVALID_VALUE', message: error.message }], error.message);
+    }
+}
+
+function handleStartChallenger(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    try {
+        const challenger = withGameContext(game, () => startChallenger(req.body.name, req.body.version));
+        persistGames();
+        res.json({ success: true, gameId: game.gameId, challenger });
+    } catch (error) {
+        sendError(res, 404, ERROR_CODES.NOT_FOUND, error.message);
+    }
+}
+
+function handleStopChallenger(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    const stopped = withGameContext(game, () => stopChallenger(req.params.name, req.params.version));
+    if (!stopped) {
+        return sendError(res, 404, ERROR_CODES.NOT_FOUND, `${req.params.name}@v${req.params.version} is not running as a challenger.`);
+    }
+    persistGames();
+    res.json({ success: true, gameId: game.gameId });
+}
+
+// { name, version?, periods?, force? }: promotes once the challenger has beaten the champion over `periods`.
+function handlePromote(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    const { name, version, periods, force } = req.body;
+    try {
+        const result = withGameContext(game, () => promoteChallenger(name, version, {
+            periods: periods ?? DEFAULT_PROMOTION_PERIODS,
+            force: force === true
+        }));
+        persistGames();
+        publishEvent(game.gameId, 'promotion', { champion: result.champion, previous: result.previous });
+        res.json({ success: true, gameId: game.gameId, ...result });
+    } catch (error) {
+        sendError(res, 409, ERROR_CODES.CONFLICT, error.message, { evaluation: error.evaluation ?? null });
+    }
+}
+
+// { name?, version? }: without a name, restores the champion the latest promotion replaced.
+function handleRollback(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+
+    try {
+        const result = withGameContext(game, () => rollbackConfiguration(req.body?.name, req.body?.version));
+        persistGames();
+        publishEvent(game.gameId, 'rollback', { champion: result.champion, previous: result.previous });
+        res.json({ success: true, gameId: game.gameId, ...result });
     } catch (error) {
-        console.error("Error in /predict endpoint:", error);
-        res.status(500).json({ success: false, message: error.message || "Internal server error." });
+        sendError(res, 409, ERROR_CODES.CONFLICT, error.message);
+    }
+}
+
+app.get('/configs', requireRole('viewer'), handleGetConfigurations);
+app.post('/configs', requireRole('admin'), validateBody(REQUEST_SCHEMAS.saveConfiguration), handleSaveConfiguration);
+app.post('/configs/challengers', requireRole('admin'), validateBody(REQUEST_SCHEMAS.startChallenger), handleStartChallenger);
+app.delete('/configs/challengers/:name/:version', requireRole('admin'), handleStopChallenger);
+app.post('/configs/promote', requireRole('admin'), validateBody(REQUEST_SCHEMAS.promote), handlePromote);
+app.post('/configs/rollback', requireRole('admin'), validateBody(REQUEST_SCHEMAS.rollback), handleRollback);
+app.get('/games/:gameId/configs', requireRole('viewer'), handleGetConfigurations);
+app.post('/games/:gameId/configs', requireRole('admin'), validateBody(REQUEST_SCHEMAS.saveConfiguration), handleSaveConfiguration);
+app.post('/games/:gameId/configs/challengers', requireRole('admin'), validateBody(REQUEST_SCHEMAS.startChallenger), handleStartChallenger);
+app.delete('/games/:gameId/configs/challengers/:name/:version', requireRole('admin'), handleStopChallenger);
+app.post('/games/:gameId/configs/promote', requireRole('admin'), validateBody(REQUEST_SCHEMAS.promote), handlePromote);
+app.post('/games/:gameId/configs/rollback', requireRole('admin'), validateBody(REQUEST_SCHEMAS.rollback), handleRollback);
+
+// Sentiment webhook: accepts one signal or { signals: [...] }, each { id?, type?, impact, timestamp?, decayRate? }
+function handlePushSignals(req, res) {
+    if (!getSentimentProviders().some(provider => provider.name === 'webhook' && provider.enabled)) {
+        return sendError(res, 403, ERROR_CODES.FEATURE_DISABLED, "The webhook sentiment provider is disabled (see SENTIMENT_PROVIDERS).");
+    }
+    // A numeric 'impact' (clamped to -1..1) is checked by REQUEST_SCHEMAS.signals
+    const signals = Array.isArray(req.body.signals) ? req.body.signals : [req.body];
+
+    const game = resolveGame(req, res, { create: true });
+    if (!game) return;
+
+    const accepted = withGameContext(game, () => signals.map(signal => pushSentimentSignal(signal)).filter(Boolean));
+    persistGames();
+    res.json({
+        success: true,
+        gameId: game.gameId,
+        accepted: accepted.length,
+        duplicates: signals.length - accepted.length,
+        marketSentiment: withGameContext(game, () => getMarketSentimentFactor())
+    });
+}
+
+function handleGetSignals(req, res) {
+    const game = resolveGame(req, res);
+    if (!game) return;
+    res.json({
+        success: true,
+        gameId: game.gameId,
+        providers: getSentimentProviders(),
+        ...withGameContext(game, () => ({ marketSentiment: getMarketSentimentFactor(), signals: getActiveSignals() }))
+    });
+}
+
+app.get('/signals', requireRole('viewer'), handleGetSignals);
+app.post('/signals', requireRole('submitter'), validateBody(REQUEST_SCHEMAS.signals), handlePushSignals);
+app.get('/games/:gameId/signals', requireRole('viewer'), handleGetSignals);
+app.post('/games/:gameId/signals', requireRole('submitter'), validateBody(REQUEST_SCHEMAS.signals), handlePushSignals);
+
+// Server-side ingestion health
+app.get('/ingestion', requireRole('viewer'), (req, res) => {
+    if (!ingestor) {
+        return res.json({ success: true, enabled: false, message: "Set INGEST_SOURCE to http, file or mock to enable ingestion." });
     }
+    res.json({ success: true, enabled: true, gameId: INGEST_GAME_ID, ...ingestor.getStatus() });
 });
 
 // Root endpoint for keep-alive services
@@ -122,11 +639,95 @@ app.get('/', (req, res) => {
     res.send('SEROX AI Backend (Consensus Core v60.5) is running.');
 });
 
+// --- Health & Metrics ---
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: the game (?gameId, else the ingested/default game) has at least MIN_HISTORY results,
+// so its predictions come from the model rather than warm-up coin flips. Probes never create games.
+app.get('/readyz', (req, res) => {
+    const gameId = String(req.query.gameId || INGEST_GAME_ID);
+    const game = getGame(gameId);
+    if (!game) {
+        return res.status(503).json({ status: 'not_ready', gameId, reason: "No results received for this game yet." });
+    }
+    const health = getGameHealth(game);
+    if (!health.warmedUp) {
+        return res.status(503).json({ status: 'not_ready', gameId, reason: `History holds ${health.historyLength} of ${health.minHistory} results.`, historyLength: health.historyLength, minHistory: health.minHistory });
+    }
+    res.json({ status: 'ready', gameId, historyLength: health.historyLength, minHistory: health.minHistory });
+});
+
+app.get('/metrics', requireRole('viewer'), (req, res) => {
+    res.type(METRICS_CONTENT_TYPE).send(renderMetrics());
+});
+
+// Unknown routes and errors thrown before a handler (e.g. by the JSON body parser) use the same envelope
+app.use((req, res) => {
+    sendError(res, 404, ERROR_CODES.NOT_FOUND, `No route for ${req.method} ${req.path}.`);
+});
+
+app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, ERROR_CODES.INVALID_JSON, "Request body is not valid JSON.");
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, ERROR_CODES.PAYLOAD_TOO_LARGE, `Request body exceeds ${error.limit} bytes.`);
+    }
+    log.error("Unhandled request error.", { error });
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, "Internal server error.");
+});
+
 // Function to start the server
-function startServer() {
+async function startServer() {
+    try {
+        const snapshot = await storage.load();
+        if (snapshot) {
+            restoreSnapshot(snapshot);
+            for (const game of getAllGames()) {
+                log.info(`Restored game '${game.gameId}' with ${game.session.history.length} history entries from ${storage.name} storage (last period ${game.session.lastProcessedPeriod}).`);
+            }
+        }
+    } catch (error) {
+        log.error(`Ignoring unusable state snapshot, starting fresh: ${error.message}`);
+    }
+
     app.listen(PORT, () => {
-        console.log(`SEROX AI backend server running on port ${PORT}`);
+        log.info(`SEROX AI backend server running on port ${PORT}`, { port: Number(PORT) });
+        const auth = getAuthSummary();
+        if (auth.keys === 0 && auth.anonymousRole === 'submitter') {
+            log.warn("No API keys configured and ANONYMOUS_ROLE=submitter: anyone can submit results.", auth);
+        } else if (auth.keys === 0) {
+            log.warn("No API keys configured: the API is read-only. Set API_KEYS or API_KEYS_FILE to enable writes.", auth);
+        } else {
+            log.info(`${auth.keys} API key(s) loaded; requests without a key get the '${auth.anonymousRole}' role.`, auth);
+        }
+        if (ingestor) {
+            ingestor.start();
+            log.info(`Ingesting results for game '${INGEST_GAME_ID}'.`, { gameId: INGEST_GAME_ID, source: ingestor.getStatus().source });
+        }
     });
 }
 
+// Stops taking results and waits for the last snapshot to be written, so a restart resumes
+// from the last processed period.
+async function shutdown(signal) {
+    log.info(`${signal} received, saving state before exit.`, { signal });
+    if (ingestor) ingestor.stop();
+    persistGames();
+    try {
+        await storage.flush();
+    } catch (error) {
+        log.error("Failed to persist state snapshot.", { error });
+    }
+    process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
 startServer();
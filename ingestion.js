@@ -0,0 +1,253 @@
+// ingestion.js - Server-Side Result Ingestion
+// Polls a result source on a schedule and drives the prediction cycle itself, so the
+// backend no longer depends on a browser posting each gameResult. Sources only have to
+// return raw records; they are normalised into the { issueNumber, number } shape here.
+
+import { open, stat } from 'fs/promises';
+import { resolve } from 'path';
+import fetch from 'node-fetch';
+
+import { comparePeriods, normaliseResultRecords } from './utils.js';
+import { createRandom } from './random.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('ingestion');
+
+const DEFAULT_INTERVAL_MS = 30000;
+const DEFAULT_MAX_BACKOFF_MS = 5 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+
+// --- Record Normalisation ---
+
+// Accepts the field names used by the common game feeds.
+export function normaliseSourceRecord(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    return {
+        issueNumber: raw.issueNumber ?? raw.issue ?? raw.period ?? raw.periodNumber,
+        number: raw.number ?? raw.result ?? raw.premium
+    };
+}
+
+function getByPath(value, path) {
+    if (!path) return value;
+    return path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), value);
+}
+
+function parseLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return null;
+    if (trimmed.startsWith('{')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch {
+            return null;
+        }
+    }
+    const [issueNumber, number] = trimmed.split(',').map(col => col.trim());
+    return { issueNumber, number };
+}
+
+// --- Sources ---
+// A source is { name, describe(), fetchResults() } where fetchResults resolves to raw records.
+
+export function createHttpSource({ url, method = 'GET', headers = {}, body = null, listPath = 'data.list' }) {
+    if (!url) throw new Error("HTTP ingestion source requires a url.");
+    return {
+        name: 'http',
+        describe: () => ({ type: 'http', url, method, listPath }),
+        async fetchResults() {
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), HTTP_TIMEOUT_MS);
+            try {
+                const response = await fetch(url, {
+                    method,
+                    headers: { Accept: 'application/json', ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+                    body: body ? JSON.stringify(body) : undefined,
+                    signal: controller.signal
+                });
+                if (!response.ok) {
+                    throw new Error(`Source responded with HTTP ${response.status}.`);
+                }
+                const payload = await response.json();
+                const list = Array.isArray(payload) ? payload : getByPath(payload, listPath);
+                if (!Array.isArray(list)) {
+                    throw new Error(`Source payload has no result array at '${listPath}'.`);
+                }
+                return list;
+            } finally {
+                clearTimeout(timeout);
+            }
+        }
+    };
+}
+
+// Tails a local file of NDJSON objects or "issueNumber,number" CSV lines, returning only
+// lines appended since the previous poll. A file that shrinks is treated as rotated.
+export function createFileSource({ path }) {
+    if (!path) throw new Error("File ingestion source requires a path.");
+    const absolutePath = resolve(path);
+    let offset = 0;
+    let partialLine = '';
+
+    return {
+        name: 'file',
+        describe: () => ({ type: 'file', path: absolutePath, offset }),
+        async fetchResults() {
+            const { size } = await stat(absolutePath);
+            if (size < offset) {
+                offset = 0;
+                partialLine = '';
+            }
+            if (size === offset) return [];
+
+            const handle = await open(absolutePath, 'r');
+            try {
+                const buffer = Buffer.alloc(size - offset);
+                await handle.read(buffer, 0, buffer.length, offset);
+                offset = size;
+
+                const lines = (partialLine + buffer.toString('utf8')).split(/\r?\n/);
+                partialLine = lines.pop(); // Possibly incomplete until the writer adds a newline
+                return lines.map(parseLine).filter(record => record !== null);
+            } finally {
+                await handle.close();
+            }
+        }
+    };
+}
+
+// Stand-in feed for local testing: every poll produces the next period with a random result.
+// `seed` follows the rules of random.js; unseeded results come from Math.random.
+export function createMockSource({ startPeriod = `${Date.now()}`, seed = null, random = createRandom(seed) } = {}) {
+    let nextPeriod = BigInt(startPeriod);
+    return {
+        name: 'mock',
+        describe: () => ({ type: 'mock', nextPeriod: nextPeriod.toString() }),
+        async fetchResults() {
+            const record = { issueNumber: nextPeriod.toString(), number: Math.floor(random() * 10) };
+            nextPeriod += 1n;
+            return [record];
+        }
+    };
+}
+
+export function createSourceFromEnv(env = process.env) {
+    const type = (env.INGEST_SOURCE || '').toLowerCase();
+    if (!type) return null;
+    if (type === 'http') {
+        return createHttpSource({
+            url: env.INGEST_URL,
+            method: env.INGEST_METHOD || 'GET',
+            body: env.INGEST_BODY ? JSON.parse(env.INGEST_BODY) : null,
+            listPath: env.INGEST_LIST_PATH || 'data.list'
+        });
+    }
+    if (type === 'file') return createFileSource({ path: env.INGEST_FILE });
+    if (type === 'mock') {
+        // Derived from SEROX_SEED rather than equal to it, so the feed never replays the model's own draws
+        const seed = env.INGEST_MOCK_SEED ?? (env.SEROX_SEED ? `${env.SEROX_SEED}:ingest-mock` : null);
+        return createMockSource({ startPeriod: env.INGEST_MOCK_START_PERIOD || `${Date.now()}`, seed });
+    }
+    throw new Error(`Unknown INGEST_SOURCE '${type}'.`);
+}
+
+// --- Ingestor ---
+
+// `onResult(record)` runs one normalised result through the prediction cycle.
+export function createIngestor({ source, onResult, intervalMs = DEFAULT_INTERVAL_MS, maxBackoffMs = DEFAULT_MAX_BACKOFF_MS }) {
+    const status = {
+        state: 'IDLE',
+        source: source.describe(),
+        intervalMs,
+        lastPollAt: null,
+        lastSuccessAt: null,
+        lastError: null,
+        consecutiveFailures: 0,
+        nextPollAt: null,
+        recordsIngested: 0,
+        recordsRejected: 0,
+        lastIngestedPeriod: null
+    };
+    let timer = null;
+    let stopped = false;
+
+    function schedule(delay) {
+        status.nextPollAt = Date.now() + delay;
+        timer = setTimeout(poll, delay);
+    }
+
+    async function poll() {
+        timer = null;
+        status.lastPollAt = Date.now();
+        try {
+            const raw = await source.fetchResults();
+            const { valid, rejected } = normaliseResultRecords(raw.map(normaliseSourceRecord));
+            status.recordsRejected += rejected.length;
+
+            for (const record of valid) {
+                if (status.lastIngestedPeriod !== null && comparePeriods(record.issueNumber, status.lastIngestedPeriod) <= 0) continue;
+                status.lastIngestedPeriod = record.issueNumber;
+                try {
+                    onResult(record);
+                    status.recordsIngested++;
+                } catch (error) {
+                    // A record the cycle cannot process is skipped rather than retried forever
+                    status.recordsRejected++;
+                    log.error(`Failed to process period ${record.issueNumber}.`, { period: record.issueNumber, error });
+                }
+            }
+
+            status.lastSuccessAt = Date.now();
+            status.lastError = null;
+            status.consecutiveFailures = 0;
+            status.state = 'RUNNING';
+        } catch (error) {
+            status.consecutiveFailures++;
+            status.lastError = error.message;
+            status.state = 'BACKING_OFF';
+            log.warn(`Poll failed (${status.consecutiveFailures} in a row): ${error.message}`, { consecutiveFailures: status.consecutiveFailures });
+        }
+        status.source = source.describe();
+
+        if (stopped) {
+            status.state = 'STOPPED';
+            return;
+        }
+        // Exponential backoff after failures, capped so a recovered source is picked up again
+        const delay = status.consecutiveFailures > 0
+            ? Math.min(intervalMs * Math.pow(2, status.consecutiveFailures), maxBackoffMs)
+            : intervalMs;
+        schedule(delay);
+    }
+
+    return {
+        start() {
+            if (status.state === 'RUNNING' || status.state === 'BACKING_OFF') return;
+            stopped = false;
+            status.state = 'RUNNING';
+            schedule(0);
+        },
+        stop() {
+            stopped = true;
+            if (timer) clearTimeout(timer);
+            timer = null;
+            status.state = 'STOPPED';
+            status.nextPollAt = null;
+        },
+        getStatus() {
+            const healthy = status.state === 'RUNNING' && status.consecutiveFailures === 0;
+            return { ...status, healthy };
+        }
+    };
+}
+
+export function createIngestorFromEnv(onResult, env = process.env) {
+    const source = createSourceFromEnv(env);
+    if (!source) return null;
+    return createIngestor({
+        source,
+        onResult,
+        intervalMs: Number(env.INGEST_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+        maxBackoffMs: Number(env.INGEST_MAX_BACKOFF_MS) || DEFAULT_MAX_BACKOFF_MS
+    });
+}
@@ -0,0 +1,107 @@
+// ledger.js - Prediction Ledger
+// Every issued prediction is recorded together with the inputs that produced it,
+// then settled against the actual result so the learners train on real labelled examples.
+
+import { comparePeriods, getBigSmallFromNumber } from './utils.js';
+import { learnerStats, trainOnSettledPrediction } from './state.js';
+import { recordAdvisoryOutcomes } from './advisory_models.js';
+import { recordSettlementOutcome } from './stats.js';
+import { recordShadowOutcomes } from './champion_challenger.js';
+import { recordDefensiveOutcome } from './defensive_mode.js';
+
+export const MAX_LEDGER_LENGTH = 500;
+
+// --- Recording & Settlement ---
+
+export function recordPrediction(ledger, predictionData, aiDecision) {
+    const entry = {
+        period: predictionData.period,
+        prediction: predictionData.prediction,
+        confidence: predictionData.confidence,
+        confidenceLevel: predictionData.confidenceLevel,
+        rawConfidence: Number.isFinite(aiDecision.rawConfidence) ? aiDecision.rawConfidence : null,
+        winProbability: aiDecision.calibrated ? aiDecision.finalConfidence : null,
+        source: predictionData.source,
+        systemHealth: predictionData.systemHealth,
+        mlFeatures: aiDecision.mlFeatures || null,
+        advisorySignals: aiDecision.advisorySignals || [],
+        featureContributions: aiDecision.featureContributions || null,
+        primaryScores: aiDecision.primaryScores || null,
+        confidenceBreakdown: aiDecision.confidenceBreakdown || null,
+        shadowPredictions: aiDecision.shadowPredictions || [],
+        paperPrediction: aiDecision.paperPrediction || null, // The withheld call of a COOLDOWN period
+        status: 'Pending',
+        paperStatus: null,
+        actualNumber: null,
+        resultType: null,
+        issuedAt: predictionData.timestamp,
+        settledAt: null
+    };
+
+    ledger.unshift(entry);
+    if (ledger.length > MAX_LEDGER_LENGTH) {
+        ledger.pop();
+    }
+    return entry;
+}
+
+// Late results may still settle a prediction that an earlier gap marked Unsettled.
+export function settlePrediction(ledger, period, actualNumber) {
+    const entry = ledger.find(e => e.period === period && (e.status === 'Pending' || e.status === 'Unsettled'));
+    if (!entry) return null;
+
+    const actualResultType = getBigSmallFromNumber(actualNumber);
+    let status = 'Loss';
+    let paperStatus = null;
+    if (entry.prediction === 'DEFENSIVE_MODE' || entry.prediction === 'COOLDOWN') {
+        status = 'Cooldown';
+        if (entry.paperPrediction) paperStatus = entry.paperPrediction === actualResultType ? 'Win' : 'Loss';
+    } else if (actualResultType === entry.prediction) {
+        status = 'Win';
+    }
+
+    Object.assign(entry, { status, paperStatus, actualNumber, resultType: actualResultType, settledAt: Date.now() });
+    recordAdvisoryOutcomes(entry.advisorySignals, actualResultType);
+    recordSettlementOutcome(entry);
+    recordShadowOutcomes(entry);
+    recordDefensiveOutcome(entry);
+    if (isLabelledSample(entry)) {
+        learnerStats.labelledSamplesSeen++;
+        trainOnSettledPrediction(entry);
+    }
+    return entry;
+}
+
+// Predictions for periods whose result never arrived (skipped by the feed) are closed out.
+export function markUnsettled(ledger, beforePeriod) {
+    const skipped = ledger.filter(e => e.status === 'Pending' && comparePeriods(e.period, beforePeriod) < 0);
+    for (const entry of skipped) {
+        entry.status = 'Unsettled';
+    }
+    return skipped;
+}
+
+export function findPrediction(ledger, period) {
+    return ledger.find(e => e.period === period) || null;
+}
+
+// --- Learner Access ---
+
+// Any settled prediction with a feature vector is labelled by its actual result, whatever was predicted.
+function isLabelledSample(entry) {
+    return entry.mlFeatures !== null && entry.resultType !== null;
+}
+
+export function getLabelledSamples(ledger) {
+    return ledger.filter(isLabelledSample);
+}
+
+export function getLedgerStats(ledger) {
+    return {
+        entries: ledger.length,
+        pending: ledger.filter(e => e.status === 'Pending').length,
+        unsettled: ledger.filter(e => e.status === 'Unsettled').length,
+        settled: ledger.filter(e => e.status !== 'Pending' && e.status !== 'Unsettled').length,
+        labelledSamples: getLabelledSamples(ledger).length
+    };
+}
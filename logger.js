@@ -0,0 +1,50 @@
+// logger.js - Structured Logging
+// Every log line is one JSON object, written to stderr so that stdout stays free for the
+// reports of the CLI scripts (backtest.js --json, train.js):
+//   {"time":"...","level":"info","component":"predict","msg":"...","requestId":"...",...}
+// LOG_LEVEL (debug, info, warn, error; default info) sets the threshold. Work done on behalf
+// of an HTTP request or an ingested result runs inside a log context (see runWithLogContext),
+// so every line it writes, in any module, carries the same correlation id.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'info';
+
+const contextStorage = new AsyncLocalStorage();
+const threshold = LEVELS[String(process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase()] ?? LEVELS[DEFAULT_LEVEL];
+
+// --- Context ---
+
+export function runWithLogContext(context, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+function getLogContext() {
+    return contextStorage.getStore() || {};
+}
+
+// --- Output ---
+
+function serialiseError(error) {
+    return { name: error.name, message: error.message, stack: error.stack };
+}
+
+function write(level, component, msg, fields) {
+    if (LEVELS[level] < threshold) return;
+    const line = { time: new Date().toISOString(), level, component, msg, ...getLogContext() };
+    for (const [key, value] of Object.entries(fields)) {
+        line[key] = value instanceof Error ? serialiseError(value) : value;
+    }
+    process.stderr.write(`${JSON.stringify(line)}\n`);
+}
+
+// `component` names the module writing the line; `fields` are merged into it.
+export function createLogger(component) {
+    return {
+        debug: (msg, fields = {}) => write('debug', component, msg, fields),
+        info: (msg, fields = {}) => write('info', component, msg, fields),
+        warn: (msg, fields = {}) => write('warn', component, msg, fields),
+        error: (msg, fields = {}) => write('error', component, msg, fields)
+    };
+}
@@ -0,0 +1,111 @@
+// logistic_model.js - Logistic Regression for the Primary Model
+// P(BIG) = sigmoid(bias + Σ weight · feature). Coefficients are { bias, weights } where
+// `weights` is keyed by the feature names in features.js. Trained online with one SGD step
+// per settled prediction (L2-regularised, bias excluded), or offline over a history file
+// (see train.js), and serialised as plain JSON so trained models can be loaded per game.
+
+export const MODEL_FORMAT = 'serox-logistic-regression';
+export const MODEL_FORMAT_VERSION = 1;
+
+const MAX_LOGIT = 30; // Keeps exp() finite for degenerate coefficients
+
+// --- Inference ---
+
+function sigmoid(z) {
+    return 1 / (1 + Math.exp(-Math.max(-MAX_LOGIT, Math.min(MAX_LOGIT, z))));
+}
+
+// Per-feature logit terms; features without a coefficient do not take part.
+export function getLogitTerms(coefficients, features) {
+    const terms = {};
+    for (const key in features) {
+        if (coefficients.weights[key] === undefined) continue;
+        terms[key] = coefficients.weights[key] * features[key];
+    }
+    return terms;
+}
+
+export function predictProbability(coefficients, features) {
+    const terms = getLogitTerms(coefficients, features);
+    return sigmoid(Object.values(terms).reduce((acc, term) => acc + term, coefficients.bias));
+}
+
+export function logLoss(probability, label) {
+    const p = Math.max(1e-12, Math.min(1 - 1e-12, probability));
+    return label === 1 ? -Math.log(p) : -Math.log(1 - p);
+}
+
+// --- Training ---
+
+// One stochastic gradient step on a single example (label 1 = BIG, 0 = SMALL), in place.
+// Returns the log loss before the update.
+export function sgdStep(coefficients, features, label, { learningRate, l2 }) {
+    const probability = predictProbability(coefficients, features);
+    const gradient = probability - label;
+
+    coefficients.bias -= learningRate * gradient;
+    for (const key in features) {
+        if (coefficients.weights[key] === undefined) continue;
+        const weight = coefficients.weights[key];
+        coefficients.weights[key] = weight - learningRate * (gradient * features[key] + l2 * weight);
+    }
+    return logLoss(probability, label);
+}
+
+// Batch training for offline use: `samples` are { features, label } in chronological order
+// and are replayed for `epochs` passes. Starts from `coefficients`, which is not modified.
+export function trainLogisticModel(samples, coefficients, { epochs = 5, learningRate = 0.02, l2 = 0.001 } = {}) {
+    const trained = { bias: coefficients.bias, weights: { ...coefficients.weights } };
+    const epochLosses = [];
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+        let totalLoss = 0;
+        for (const { features, label } of samples) {
+            totalLoss += sgdStep(trained, features, label, { learningRate, l2 });
+        }
+        epochLosses.push(samples.length > 0 ? totalLoss / samples.length : null);
+    }
+
+    const correct = samples.filter(({ features, label }) => (predictProbability(trained, features) > 0.5 ? 1 : 0) === label).length;
+    return {
+        coefficients: trained,
+        epochLosses,
+        trainingAccuracy: samples.length > 0 ? correct / samples.length : null
+    };
+}
+
+// --- Serialisation ---
+
+export function serialiseModel(coefficients, meta = {}) {
+    return {
+        format: MODEL_FORMAT,
+        version: MODEL_FORMAT_VERSION,
+        ...meta,
+        bias: coefficients.bias,
+        weights: { ...coefficients.weights }
+    };
+}
+
+// Validates a serialised model. Only `knownFeatures` are kept; any that the model does not
+// cover start at 0.
+export function parseModel(raw, knownFeatures) {
+    if (!raw || typeof raw !== 'object' || raw.format !== MODEL_FORMAT) {
+        throw new Error(`Model must be a '${MODEL_FORMAT}' document.`);
+    }
+    if (raw.version !== MODEL_FORMAT_VERSION) {
+        throw new Error(`Unsupported model version ${raw.version} (expected ${MODEL_FORMAT_VERSION}).`);
+    }
+    if (!Number.isFinite(raw.bias) || !raw.weights || typeof raw.weights !== 'object') {
+        throw new Error("Model needs a numeric 'bias' and a 'weights' object.");
+    }
+
+    const weights = {};
+    for (const name of knownFeatures) {
+        const weight = raw.weights[name];
+        if (weight !== undefined && !Number.isFinite(weight)) {
+            throw new Error(`Weight for '${name}' is not a number.`);
+        }
+        weights[name] = weight ?? 0;
+    }
+    return { bias: raw.bias, weights };
+}
@@ -2,23 +2,33 @@
 // Version: 60.1.0 - "Modular Architecture - Hotfix"
 
 // --- Import Core Systems ---
-import { getBigSmallFromNumber } from './utils.js';
-// FIX: Correctly import 'evolveMLWeights' from state.js
-import { systemState, evolveSystemParameters, manageDefensiveMode, evolveMLWeights } from './state.js';
+import { buildIndicatorEngine, getBigSmallFromNumber } from './utils.js';
+import { evolveSystemParameters } from './state.js';
+import { getDefensiveState, isCooldownActive, getSystemHealthForState } from './defensive_mode.js';
 import {
     analyzeUnifiedMLModel,
     createFeatureSetForML
 } from './primary_model.js';
 import { runAdvisoryModels } from './advisory_models.js';
+import { getChampionAdvisorOverrides, runShadowPredictions } from './champion_challenger.js';
 import { updateMarketSentiment } from './market_sentiment.js';
+import { fitCalibration, calibrate } from './calibration.js';
+import { analyzeRandomness } from './randomness.js';
+import { random } from './random.js';
+import { runtimeConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('consensus');
 
 // --- The Main Prediction Function ---
-function ultraAIPredict(currentSharedHistory, sharedStatsPayload) {
+// `indicators` is the session's indicator engine (see prediction_cycle.js); without one it
+// is built from the history.
+function ultraAIPredict(currentSharedHistory, sharedStatsPayload, predictionLedger = [], indicators = null) {
     const confirmedHistory = currentSharedHistory.filter(p => p && p.actual !== null && p.actualNumber !== undefined);
 
-    if (confirmedHistory.length < systemState.MIN_HISTORY) {
+    if (confirmedHistory.length < runtimeConfig.MIN_HISTORY) {
         return {
-            finalDecision: Math.random() > 0.5 ? "BIG" : "SMALL",
+            finalDecision: random() > 0.5 ? "BIG" : "SMALL",
             confidenceLevel: 1,
             source: "ConsensusCore-v60.1",
             systemHealth: "INSUFFICIENT_HISTORY"
@@ -30,7 +40,6 @@ function ultraAIPredict(currentSharedHistory, sharedStatsPayload) {
         if (sharedStatsPayload.longTermGlobalAccuracy) {
             evolveSystemParameters(sharedStatsPayload.longTermGlobalAccuracy);
         }
-        evolveMLWeights(confirmedHistory);
         updateMarketSentiment();
     }
 
@@ -38,57 +47,105 @@ function ultraAIPredict(currentSharedHistory, sharedStatsPayload) {
         status: getBigSmallFromNumber(sharedStatsPayload.lastActualOutcome) === sharedStatsPayload.lastPredictedOutcome ? "Win" : "Loss"
     } : null;
 
-    if (lastResult) {
-        manageDefensiveMode(confirmedHistory);
-    }
+    // CAUTION serves predictions at reduced confidence; DEFENSIVE and RECOVERY withhold them
+    // (COOLDOWN) while the model's call is paper-tracked (see defensive_mode.js).
+    const defensiveState = getDefensiveState();
+    const cautious = defensiveState === 'CAUTION';
+    const cooldown = isCooldownActive();
 
     // --- Prediction Pipeline ---
     // Stage 1: Generate Features and Primary Prediction
-    const mlFeatures = createFeatureSetForML(confirmedHistory);
+    const engine = indicators || buildIndicatorEngine(confirmedHistory.map(e => e.actualNumber).filter(n => !isNaN(n)));
+    const mlFeatures = createFeatureSetForML(confirmedHistory, engine);
     const primaryModel = analyzeUnifiedMLModel(mlFeatures);
 
     if (!primaryModel) {
         return {
-            finalDecision: Math.random() > 0.5 ? "BIG" : "SMALL",
+            finalDecision: cooldown ? "COOLDOWN" : (random() > 0.5 ? "BIG" : "SMALL"),
             confidenceLevel: 0,
             source: "ConsensusCore-v60.1",
-            systemHealth: "MODEL_UNCERTAIN"
+            systemHealth: "MODEL_UNCERTAIN",
+            defensiveState
         };
     }
 
     // Stage 2: Run Advisory Models for Consensus
-    const { advisorySignals, consensusScore, agreeingModels, totalAdvisors } = runAdvisoryModels(confirmedHistory, primaryModel.prediction);
+    const { advisorySignals, consensusScore, agreeingModels, totalAdvisors } = runAdvisoryModels(confirmedHistory, primaryModel.prediction, { advisors: getChampionAdvisorOverrides(), indicators: engine });
+
+    // Challenger configurations predict in shadow on the same inputs; they never affect the decision
+    const shadowPredictions = runShadowPredictions(confirmedHistory, mlFeatures, engine);
 
     // Stage 3: Calculate Final Confidence
-    let finalConfidence = primaryModel.confidence * (0.6 + (consensusScore * 0.4));
-    if (systemState.DEFENSIVE_MODE_ACTIVE) {
-        finalConfidence *= 0.7;
+    const consensusFactor = 0.6 + (consensusScore * 0.4);
+    const defensivePenalty = cautious ? runtimeConfig.CAUTION_CONFIDENCE_PENALTY : 1;
+    const rawConfidence = primaryModel.confidence * consensusFactor * defensivePenalty;
+
+    // Once enough predictions have settled, report the observed win probability for this
+    // score and only flag high confidence when it beats the target accuracy.
+    const calibration = fitCalibration(predictionLedger);
+    const finalConfidence = calibration ? calibrate(calibration, rawConfidence) : rawConfidence;
+    const confidenceThreshold = calibration ? runtimeConfig.TARGET_ACCURACY : runtimeConfig.UNCALIBRATED_CONFIDENCE_THRESHOLD;
+
+    let confidenceLevel = (finalConfidence > confidenceThreshold) ? 1 : 0;
+    if (cautious || cooldown) {
+        confidenceLevel = 0;
     }
 
-    let confidenceLevel = (finalConfidence > 0.55) ? 1 : 0;
-    if (systemState.DEFENSIVE_MODE_ACTIVE) {
+    // With no detectable deviation from a fair draw, no signal can be trusted
+    const noEdgeDetected = runtimeConfig.NO_EDGE_GUARD_ENABLED && analyzeRandomness(confirmedHistory).verdict === 'RANDOM';
+    if (noEdgeDetected) {
         confidenceLevel = 0;
     }
 
+    const confidenceBreakdown = {
+        primaryConfidence: primaryModel.confidence,
+        consensusScore,
+        consensusFactor,
+        defensivePenalty,
+        rawConfidence,
+        calibrated: calibration !== null,
+        finalConfidence,
+        confidenceThreshold,
+        levelForcedToZeroBy: [
+            ...(cautious ? ['CAUTION'] : []),
+            ...(cooldown ? ['COOLDOWN'] : []),
+            ...(noEdgeDetected ? ['NO_EDGE_DETECTED'] : [])
+        ]
+    };
+
     const output = {
-        finalDecision: primaryModel.prediction,
+        finalDecision: cooldown ? 'COOLDOWN' : primaryModel.prediction,
+        paperPrediction: cooldown ? primaryModel.prediction : null, // Settled privately to judge recovery
         finalConfidence,
+        rawConfidence,
+        calibrated: calibration !== null,
         confidenceLevel,
         overallLogic: "ConsensusCore-v60.1",
         source: `ML+${agreeingModels}/${totalAdvisors}_Advisors`,
-        systemHealth: systemState.DEFENSIVE_MODE_ACTIVE ? `DEFENSIVE_MODE` : "OK",
-        advisorySignals // Include for debugging
+        systemHealth: (cautious || cooldown) ? getSystemHealthForState() : (noEdgeDetected ? "NO_EDGE_DETECTED" : "OK"),
+        defensiveState,
+        advisorySignals, // Include for debugging
+        mlFeatures, // Recorded in the prediction ledger for learning
+        featureContributions: primaryModel.contributions,
+        primaryScores: { big: primaryModel.bigScore, small: primaryModel.smallScore, probabilityBig: primaryModel.probabilityBig, bias: primaryModel.bias },
+        confidenceBreakdown,
+        shadowPredictions
     };
 
-    // Persist data for learning
+    // Only what the next cycle reads; sharedStats is saved with every snapshot, and the full
+    // decision already lives in the prediction ledger
     Object.assign(sharedStatsPayload, {
-        ...output,
         lastPredictedOutcome: output.finalDecision,
-        mlFeatures: mlFeatures,
         status: lastResult ? lastResult.status : 'Pending'
     });
 
-    console.log(`ConsensusCore v60.1: ${output.finalDecision} @ Lvl:${output.confidenceLevel} | Conf:${output.finalConfidence.toFixed(2)} | Source: ${output.source}`);
+    log.debug(`${output.finalDecision} @ Lvl:${output.confidenceLevel} | Conf:${output.finalConfidence.toFixed(2)} | Source: ${output.source}`, {
+        decision: output.finalDecision,
+        confidenceLevel: output.confidenceLevel,
+        confidence: output.finalConfidence,
+        source: output.source,
+        defensiveState
+    });
     return output;
 }
 
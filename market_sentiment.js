@@ -1,29 +1,138 @@
-// market_sentiment.js - Real-Time Data Analysis Simulation
+// market_sentiment.js - External Sentiment Signals
+// Sentiment arrives as timestamped signals from pluggable providers: pull providers are
+// polled each update (the news simulator, a JSON file feed) and push providers deliver
+// through pushSentimentSignal (the POST /signals webhook). Every signal decays per update
+// cycle, and the clamped sum of active impacts is the `market_sentiment` model feature.
 
-// --- State for Market Simulation ---
-let marketEvents = []; // Stores active news events
+import { existsSync, readFileSync, statSync } from 'fs';
+import { resolve } from 'path';
+
+import { random } from './random.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('sentiment');
+
+// --- State for Active Signals ---
+let marketEvents = []; // Stores active signals
+let seenSignalIds = []; // Explicit ids already ingested, so polled feeds do not repeat a signal
+let signalSequence = 0; // Numbers signals that come without an id
+const MAX_SEEN_SIGNAL_IDS = 1000;
 const NEWS_EVENT_PROBABILITY = 0.05; // 5% chance per prediction
 const EVENT_IMPACT_DECAY_RATE = 0.90; // Impact reduces by 10% each cycle
 
-// --- Simulation Functions ---
+// --- Provider Registry ---
+// A provider is { name, enabled, collect() } where collect returns new signals (pull
+// providers) or nothing (push providers, which call pushSentimentSignal instead).
+
+const sentimentProviders = new Map();
+
+export function registerSentimentProvider(provider) {
+    sentimentProviders.set(provider.name, { enabled: true, collect: () => [], ...provider });
+}
+
+export function getSentimentProviders() {
+    return [...sentimentProviders.values()].map(({ name, enabled, description }) => ({ name, enabled, description }));
+}
+
+// The random news generator this module used to be
+export function createSimulatorProvider() {
+    return {
+        name: 'simulator',
+        description: 'Random PositiveNews/NegativeNews events',
+        collect() {
+            if (random() >= NEWS_EVENT_PROBABILITY) return [];
+            const isPositive = random() > 0.5;
+            return [{
+                type: isPositive ? 'PositiveNews' : 'NegativeNews',
+                impact: isPositive ? 1.0 : -1.0 // Initial impact score
+            }];
+        }
+    };
+}
+
+// Reads a JSON array of signals, re-parsing only when the file changes. The whole file is
+// returned on every poll, so a signal without an `id` is identified by its content and is
+// applied once per game.
+export function createFileProvider(filePath) {
+    const absolutePath = resolve(filePath);
+    let cachedMtime = null;
+    let cachedSignals = [];
+
+    return {
+        name: 'file',
+        description: `JSON signal feed at ${absolutePath}`,
+        collect() {
+            if (!existsSync(absolutePath)) return [];
+            try {
+                const { mtimeMs } = statSync(absolutePath);
+                if (mtimeMs !== cachedMtime) {
+                    const parsed = JSON.parse(readFileSync(absolutePath, 'utf8'));
+                    cachedSignals = (Array.isArray(parsed) ? parsed : [])
+                        .map(signal => ({ ...signal, id: signal?.id ?? `file:${JSON.stringify(signal)}` }));
+                    cachedMtime = mtimeMs;
+                }
+            } catch (error) {
+                log.error(`Could not read signal file ${absolutePath}: ${error.message}`);
+            }
+            return cachedSignals;
+        }
+    };
+}
+
+export function createWebhookProvider() {
+    return { name: 'webhook', description: 'Signals posted to POST /signals' };
+}
+
+// --- Signal Handling ---
+
+// Returns the stored signal, or null when the signal is invalid or was already applied.
+// Only an explicit `id` marks a repeat; signals without one are always new and are numbered
+// per game, so identical signals (or ones sent in the same millisecond) are never dropped.
+function addSignal(signal, provider) {
+    const impact = Number(signal?.impact);
+    if (!Number.isFinite(impact)) return null;
+
+    let id;
+    if (signal.id !== undefined && signal.id !== null) {
+        id = String(signal.id);
+        if (seenSignalIds.includes(id)) return null;
+        seenSignalIds.push(id);
+        if (seenSignalIds.length > MAX_SEEN_SIGNAL_IDS) seenSignalIds.shift();
+    } else {
+        id = `${provider}#${++signalSequence}`;
+    }
+
+    const decayRate = Number(signal.decayRate);
+    const stored = {
+        id,
+        provider,
+        type: String(signal.type || (impact >= 0 ? 'Positive' : 'Negative')),
+        impact: Math.max(-1, Math.min(1, impact)),
+        decayRate: decayRate > 0 && decayRate < 1 ? decayRate : EVENT_IMPACT_DECAY_RATE,
+        timestamp: Number.isFinite(Number(signal.timestamp)) ? Number(signal.timestamp) : Date.now()
+    };
+    marketEvents.push(stored);
+    log.info(`Market signal received: ${stored.type} from ${provider} with impact ${stored.impact}`, { signalId: id, provider, impact: stored.impact });
+    return stored;
+}
+
+export function pushSentimentSignal(signal, provider = 'webhook') {
+    return addSignal(signal, provider);
+}
 
 export function updateMarketSentiment() {
-    // 1. Decay the impact of existing events
+    // 1. Decay the impact of existing signals
     marketEvents = marketEvents.map(event => ({
         ...event,
-        impact: event.impact * EVENT_IMPACT_DECAY_RATE
-    })).filter(event => Math.abs(event.impact) > 0.05); // Remove events that have decayed to insignificance
-
-    // 2. Randomly create a new event
-    if (Math.random() < NEWS_EVENT_PROBABILITY) {
-        const isPositive = Math.random() > 0.5;
-        const newEvent = {
-            type: isPositive ? 'PositiveNews' : 'NegativeNews',
-            impact: isPositive ? 1.0 : -1.0, // Initial impact score
-            timestamp: Date.now()
-        };
-        marketEvents.push(newEvent);
-        console.log(`Market Event Created: ${newEvent.type} with impact ${newEvent.impact}`);
+        impact: event.impact * (event.decayRate ?? EVENT_IMPACT_DECAY_RATE)
+    })).filter(event => Math.abs(event.impact) > 0.05); // Remove signals that have decayed to insignificance
+
+    // 2. Collect new signals from the pull providers
+    for (const provider of sentimentProviders.values()) {
+        if (!provider.enabled) continue;
+        for (const signal of provider.collect() || []) {
+            addSignal(signal, provider.name);
+        }
     }
 }
 
@@ -31,8 +140,46 @@ export function getMarketSentimentFactor() {
     if (marketEvents.length === 0) {
         return 0.0;
     }
-    // The total sentiment is the sum of impacts of all active events
+    // The total sentiment is the sum of impacts of all active signals
     const totalImpact = marketEvents.reduce((acc, event) => acc + event.impact, 0);
     // Clamp the value to a reasonable range [-1, 1]
     return Math.max(-1, Math.min(1, totalImpact));
 }
+
+export function getActiveSignals() {
+    return marketEvents.map(event => ({ ...event }));
+}
+
+// --- Snapshots ---
+
+export function getMarketSentimentSnapshot() {
+    return { signals: getActiveSignals(), seenSignalIds: [...seenSignalIds], signalSequence };
+}
+
+// Also accepts the plain event array stored before providers existed.
+export function restoreMarketSentiment(snapshot) {
+    const events = Array.isArray(snapshot) ? snapshot : snapshot?.signals;
+    marketEvents = Array.isArray(events) ? events.map(event => ({ ...event })) : [];
+    seenSignalIds = Array.isArray(snapshot?.seenSignalIds) ? [...snapshot.seenSignalIds] : [];
+    signalSequence = Number.isInteger(snapshot?.signalSequence) ? snapshot.signalSequence : 0;
+}
+
+// --- Providers From Environment ---
+// SENTIMENT_PROVIDERS is a comma-separated list of simulator, file and webhook
+// (default: simulator,webhook); the file feed reads SENTIMENT_FILE.
+
+export function configureProvidersFromEnv(env = process.env) {
+    const names = (env.SENTIMENT_PROVIDERS ?? 'simulator,webhook').split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+    for (const name of names) {
+        if (name === 'simulator') registerSentimentProvider(createSimulatorProvider());
+        else if (name === 'webhook') registerSentimentProvider(createWebhookProvider());
+        else if (name === 'file') {
+            if (!env.SENTIMENT_FILE) throw new Error("The file sentiment provider requires SENTIMENT_FILE.");
+            registerSentimentProvider(createFileProvider(env.SENTIMENT_FILE));
+        } else {
+            throw new Error(`Unknown sentiment provider '${name}'.`);
+        }
+    }
+}
+
+configureProvidersFromEnv();
@@ -0,0 +1,170 @@
+// metrics.js - Prometheus Metrics
+// A small metric registry rendered in the Prometheus text exposition format (0.0.4) by
+// GET /metrics. Counters and histograms are updated as results are processed; per-game
+// gauges (accuracy, defensive state, advisory agreement, ...) are read from the games at
+// scrape time, so they also cover games restored from storage.
+
+import { getAllGames, getGameHealth, withGameContext } from './games.js';
+import { DEFENSIVE_STATES, getDefensiveReport } from './defensive_mode.js';
+import { getSubscriberCount } from './realtime.js';
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const registry = new Map();
+
+// --- Metric Types ---
+
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function register(type, name, help, labelNames) {
+    const metric = { type, name, help, labelNames, series: new Map() };
+    registry.set(name, metric);
+    return metric;
+}
+
+function getSeries(metric, labels, create) {
+    const key = labelKey(metric.labelNames, labels);
+    if (!metric.series.has(key)) metric.series.set(key, { labels: { ...labels }, ...create() });
+    return metric.series.get(key);
+}
+
+export function createCounter(name, help, labelNames = []) {
+    const metric = register('counter', name, help, labelNames);
+    return {
+        inc(labels = {}, amount = 1) {
+            getSeries(metric, labels, () => ({ value: 0 })).value += amount;
+        }
+    };
+}
+
+// Gauges are filled by a collector called on every scrape.
+export function createGauge(name, help, labelNames = [], collect) {
+    const metric = register('gauge', name, help, labelNames);
+    metric.collect = () => {
+        metric.series.clear();
+        collect((labels, value) => {
+            if (value !== null && Number.isFinite(value)) getSeries(metric, labels, () => ({ value: 0 })).value = value;
+        });
+    };
+}
+
+export function createHistogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    const metric = register('histogram', name, help, labelNames);
+    metric.buckets = buckets;
+    return {
+        observe(labels, value) {
+            const series = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+            buckets.forEach((bound, i) => { if (value <= bound) series.counts[i]++; });
+            series.sum += value;
+            series.count++;
+        }
+    };
+}
+
+// --- Exposition ---
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels, extra = {}) {
+    const pairs = Object.entries({ ...labels, ...extra }).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    for (const series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+            lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+            continue;
+        }
+        metric.buckets.forEach((bound, i) => {
+            lines.push(`${metric.name}_bucket${formatLabels(series.labels, { le: bound })} ${series.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels(series.labels, { le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines.join('\n');
+}
+
+export function renderMetrics() {
+    for (const metric of registry.values()) {
+        if (metric.collect) metric.collect();
+    }
+    return `${[...registry.values()].map(renderMetric).join('\n')}\n`;
+}
+
+// --- Application Metrics ---
+
+const predictionsIssued = createCounter('serox_predictions_total', "Predictions issued, by served decision (BIG, SMALL or COOLDOWN).", ['game', 'decision']);
+const predictionOutcomes = createCounter('serox_prediction_outcomes_total', "Settled predictions, by outcome (win, loss, or cooldown for withheld calls).", ['game', 'outcome']);
+const paperOutcomes = createCounter('serox_paper_outcomes_total', "Settled paper predictions of COOLDOWN periods, by outcome.", ['game', 'outcome']);
+const resultAnomalies = createCounter('serox_result_anomalies_total', "Results that arrived as a DUPLICATE, STALE or after a GAP.", ['game', 'type']);
+const httpRequests = createCounter('serox_http_requests_total', "HTTP requests, by route and status code.", ['method', 'route', 'status']);
+const httpDuration = createHistogram('serox_http_request_duration_seconds', "HTTP request latency, by route (e.g. /predict).", ['method', 'route']);
+
+// Called with the outcome of every processed result, live or replayed by a history import
+// (see runGameCycle and handleHistoryImport in index.js).
+export function recordCycleMetrics(gameId, cycle) {
+    if (cycle.anomaly) resultAnomalies.inc({ game: gameId, type: cycle.anomaly.type });
+    if (cycle.aiDecision) predictionsIssued.inc({ game: gameId, decision: cycle.currentPrediction.prediction });
+
+    const settled = cycle.settledPrediction;
+    if (!settled) return;
+    predictionOutcomes.inc({ game: gameId, outcome: settled.status.toLowerCase() });
+    if (settled.paperStatus) paperOutcomes.inc({ game: gameId, outcome: settled.paperStatus.toLowerCase() });
+}
+
+// `route` is the matched route pattern, so ids in the path do not multiply the series.
+export function recordHttpRequest(method, route, status, durationSeconds) {
+    httpRequests.inc({ method, route, status });
+    httpDuration.observe({ method, route }, durationSeconds);
+}
+
+createGauge('serox_games', "Games with an active session.", [], set => set({}, getAllGames().length));
+
+createGauge('serox_history_length', "Results held in a game's history.", ['game'], set => {
+    for (const game of getAllGames()) set({ game: game.gameId }, game.session.history.length);
+});
+
+createGauge('serox_ready', "1 once a game's history reaches MIN_HISTORY.", ['game'], set => {
+    for (const game of getAllGames()) set({ game: game.gameId }, getGameHealth(game).warmedUp ? 1 : 0);
+});
+
+// Rolling accuracy is the one the defensive state machine judges (the last BAD_TREND_WINDOW served predictions).
+createGauge('serox_rolling_accuracy', "Accuracy of the most recent served predictions.", ['game'], set => {
+    for (const game of getAllGames()) set({ game: game.gameId }, withGameContext(game, () => getDefensiveReport()).live.accuracy);
+});
+
+createGauge('serox_loss_streak', "Current run of served losses.", ['game'], set => {
+    for (const game of getAllGames()) set({ game: game.gameId }, withGameContext(game, () => getDefensiveReport()).live.lossStreak);
+});
+
+createGauge('serox_defensive_state', "1 for the game's current defensive state, 0 for the others.", ['game', 'state'], set => {
+    for (const game of getAllGames()) {
+        const { defensiveState } = getGameHealth(game);
+        for (const state of DEFENSIVE_STATES) set({ game: game.gameId, state }, state === defensiveState ? 1 : 0);
+    }
+});
+
+// Weighted share of unmuted advisors that agreed with the primary model on the latest prediction
+createGauge('serox_advisory_agreement', "Advisory consensus score of the latest prediction.", ['game'], set => {
+    for (const game of getAllGames()) {
+        const latest = game.session.ledger[0];
+        set({ game: game.gameId }, latest?.confidenceBreakdown ? latest.confidenceBreakdown.consensusScore : null);
+    }
+});
+
+createGauge('serox_stream_subscribers', "Open /stream connections.", ['game'], set => {
+    for (const game of getAllGames()) set({ game: game.gameId }, getSubscriberCount(game.gameId));
+});
+
+createGauge('process_resident_memory_bytes', "Resident memory size in bytes.", [], set => set({}, process.memoryUsage().rss));
+
+const startTimeSeconds = Date.now() / 1000 - process.uptime();
+createGauge('process_start_time_seconds', "Start time of the process since the Unix epoch in seconds.", [], set => set({}, startTimeSeconds));
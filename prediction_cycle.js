@@ -0,0 +1,190 @@
+// prediction_cycle.js - Result Settlement & Prediction Cycle
+// Shared by the live server (index.js) and the offline backtester (backtest.js)
+// so both exercise exactly the same settlement and prediction path.
+
+import { ultraAIPredict } from './main.js';
+import { buildIndicatorEngine, comparePeriods, getBigSmallFromNumber, getResultTimestamp } from './utils.js';
+import { markUnsettled, recordPrediction, settlePrediction } from './ledger.js';
+import { getLongTermGlobalAccuracy } from './stats.js';
+import { runtimeConfig } from './config.js';
+
+const MAX_REPORTED_MISSING_PERIODS = 20;
+
+// --- Session State ---
+
+export function createSession() {
+    return {
+        lastProcessedPeriod: null,
+        history: [],
+        sharedStats: {},
+        currentPrediction: null,
+        ledger: [],
+        indicators: null // Streaming indicator engine; not persisted, rebuilt from the history when null
+    };
+}
+
+// In-order results are pushed into the engine as they arrive; its window matches the history
+// limit, so it always reads the history as it is. Changes anywhere else in the history (late
+// results, imports) or to the limit reset it, and the history is replayed into a new one.
+function updateIndicators(session, actualNumber) {
+    if (session.indicators && session.indicators.windowSize === runtimeConfig.MAX_HISTORY_LENGTH) {
+        session.indicators.push(actualNumber);
+    } else {
+        const numbers = session.history.map(e => e.actualNumber).filter(n => !isNaN(n));
+        session.indicators = buildIndicatorEngine(numbers, {}, { windowSize: runtimeConfig.MAX_HISTORY_LENGTH });
+    }
+}
+
+// --- History Entries ---
+
+function createHistoryEntry(period, actualNumber, settledPrediction, timestamp) {
+    return {
+        period,
+        actual: actualNumber,
+        actualNumber: actualNumber,
+        resultType: getBigSmallFromNumber(actualNumber),
+        prediction: settledPrediction ? settledPrediction.prediction : null,
+        confidence: settledPrediction ? settledPrediction.confidence : null,
+        confidenceLevel: settledPrediction ? settledPrediction.confidenceLevel : null,
+        source: settledPrediction ? settledPrediction.source : null,
+        status: settledPrediction ? settledPrediction.status : 'Pending',
+        timestamp
+    };
+}
+
+// A result older than the last processed period is slotted into its chronological
+// position; it settles its prediction if one is still open but never triggers a new one.
+function insertLateResult(session, period, actualNumber, timestamp) {
+    const settledPrediction = settlePrediction(session.ledger, period, actualNumber);
+    const entry = createHistoryEntry(period, actualNumber, settledPrediction, timestamp);
+
+    const insertAt = session.history.findIndex(e => comparePeriods(e.period, period) < 0);
+    if (insertAt === -1) {
+        session.history.push(entry);
+    } else {
+        session.history.splice(insertAt, 0, entry);
+    }
+    while (session.history.length > runtimeConfig.MAX_HISTORY_LENGTH) {
+        session.history.pop();
+    }
+    session.indicators = null;
+
+    return {
+        duplicate: false,
+        late: true,
+        anomaly: {
+            type: 'STALE',
+            period,
+            lastProcessedPeriod: session.lastProcessedPeriod,
+            settledPrediction: settledPrediction !== null,
+            retained: session.history.includes(entry)
+        },
+        currentPrediction: session.currentPrediction,
+        settledPrediction,
+        historyEntry: entry,
+        aiDecision: null
+    };
+}
+
+function detectGap(session, period) {
+    if (session.lastProcessedPeriod === null) return null;
+
+    const missingCount = BigInt(period) - BigInt(session.lastProcessedPeriod) - 1n;
+    if (missingCount <= 0n) return null;
+
+    const missingPeriods = [];
+    for (let i = 1n; i <= missingCount && i <= BigInt(MAX_REPORTED_MISSING_PERIODS); i++) {
+        missingPeriods.push((BigInt(session.lastProcessedPeriod) + i).toString());
+    }
+    const unsettled = markUnsettled(session.ledger, period);
+
+    return {
+        type: 'GAP',
+        period,
+        lastProcessedPeriod: session.lastProcessedPeriod,
+        missingCount: Number(missingCount),
+        missingPeriods, // Capped; use missingCount for the full size of the gap
+        unsettledPredictions: unsettled.map(e => e.period)
+    };
+}
+
+// --- The Cycle ---
+
+// Returns { duplicate, late, anomaly, currentPrediction, settledPrediction, historyEntry, aiDecision }.
+// `anomaly` is null for an in-order result, otherwise a DUPLICATE, STALE or GAP report
+// the frontend can use to backfill.
+export function processGameResult(session, gameResult) {
+    const endedPeriodFull = String(gameResult.issueNumber).trim();
+    const actualNumber = Number(gameResult.number);
+
+    // Check if this period has already been processed to prevent duplicates
+    const existingEntry = session.history.find(entry => entry.period === endedPeriodFull);
+    if (endedPeriodFull === session.lastProcessedPeriod || existingEntry) {
+        return {
+            duplicate: true,
+            late: false,
+            anomaly: {
+                type: 'DUPLICATE',
+                period: endedPeriodFull,
+                conflictingResult: existingEntry ? existingEntry.actualNumber !== actualNumber : false
+            },
+            currentPrediction: session.currentPrediction
+        };
+    }
+
+    if (session.lastProcessedPeriod !== null && comparePeriods(endedPeriodFull, session.lastProcessedPeriod) < 0) {
+        return insertLateResult(session, endedPeriodFull, actualNumber, getResultTimestamp(gameResult));
+    }
+
+    const anomaly = detectGap(session, endedPeriodFull);
+
+    // Settle the prediction that was issued for this period, if any
+    const settledPrediction = settlePrediction(session.ledger, endedPeriodFull, actualNumber);
+    if (settledPrediction) {
+        // Pass the results back to the AI for learning
+        session.sharedStats.lastActualOutcome = actualNumber;
+        session.sharedStats.lastPredictedOutcome = settledPrediction.prediction;
+        session.sharedStats.lastConfidenceLevel = settledPrediction.confidenceLevel;
+        session.sharedStats.longTermGlobalAccuracy = getLongTermGlobalAccuracy();
+    }
+
+    // Add the new result to the top of our history, carrying the settlement of its prediction
+    const historyEntry = createHistoryEntry(endedPeriodFull, actualNumber, settledPrediction, getResultTimestamp(gameResult));
+    session.history.unshift(historyEntry);
+
+    while (session.history.length > runtimeConfig.MAX_HISTORY_LENGTH) { // Also trims after the limit is lowered
+        session.history.pop();
+    }
+
+    session.lastProcessedPeriod = endedPeriodFull;
+    updateIndicators(session, actualNumber);
+
+    // ---- CALL THE AI CORE ----
+    const aiDecision = ultraAIPredict(session.history, session.sharedStats, session.ledger, session.indicators);
+    // -------------------------
+
+    const nextPeriodToPredictFull = (BigInt(endedPeriodFull) + 1n).toString();
+    const newPredictionData = {
+        period: nextPeriodToPredictFull,
+        prediction: aiDecision.finalDecision,
+        confidence: aiDecision.finalConfidence ? Math.round(aiDecision.finalConfidence * 100) : 50,
+        confidenceLevel: aiDecision.confidenceLevel,
+        overallLogic: aiDecision.overallLogic,
+        source: aiDecision.source,
+        systemHealth: aiDecision.systemHealth,
+        timestamp: Date.now()
+    };
+
+    session.currentPrediction = newPredictionData;
+    recordPrediction(session.ledger, newPredictionData, aiDecision);
+
+    return {
+        duplicate: false,
+        late: false,
+        anomaly,
+        currentPrediction: newPredictionData,
+        settledPrediction,
+        historyEntry,
+        aiDecision
+    };
+}
@@ -4,16 +4,18 @@
 import express from 'express';
 import cors from 'cors';
 import fetch from 'node-fetch';
+import { createLogger } from './logger.js';
 
 const app = express();
 const PORT = process.env.PROXY_PORT || 3001;
+const log = createLogger('proxy');
 
 app.use(cors({ origin: '*' }));
 app.use(express.json());
 
 app.post('/proxy', async (req, res) => {
     const targetUrl = "https://api.bdg88zf.com/api/webapi/GetNoaverageEmerdList";
-    console.log(`Proxy: Forwarding request to ${targetUrl}`);
+    log.info(`Forwarding request to ${targetUrl}`);
 
     try {
         const response = await fetch(targetUrl, {
@@ -38,11 +40,11 @@ app.post('/proxy', async (req, res) => {
         res.json(data);
 
     } catch (error) {
-        console.error('Proxy error:', error);
+        log.error('Proxy error.', { error });
         res.status(500).json({ message: "Proxy server internal error." });
     }
 });
 
 app.listen(PORT, () => {
-    console.log(`Proxy server running on port ${PORT}`);
+    log.info(`Proxy server running on port ${PORT}`);
 });
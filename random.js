@@ -0,0 +1,75 @@
+// random.js - Seedable Pseudo-Random Number Generator
+// Every random decision in the pipeline draws from here. Unseeded it defers to
+// Math.random; once seeded (SEROX_SEED env var, the API or a backtest option) it runs a
+// mulberry32 generator, so identical input histories give identical predictions.
+// The generator state is part of each game's model state (see games.js).
+
+const DEFAULT_SEED = parseSeed(process.env.SEROX_SEED);
+
+let seed = DEFAULT_SEED;
+let state = DEFAULT_SEED;
+
+// Numbers are used as-is, any other string is hashed (FNV-1a); empty means unseeded.
+function parseSeed(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d+$/.test(String(value))) return Number(BigInt(value) % 4294967296n);
+    let hash = 0x811c9dc5;
+    for (const char of String(value)) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+// mulberry32: returns the generator state after `current` and the number it yields.
+function step(current) {
+    const next = (current + 0x6D2B79F5) >>> 0;
+    let t = next;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return { next, value: ((t ^ (t >>> 14)) >>> 0) / 4294967296 };
+}
+
+export function random() {
+    if (state === null) return Math.random();
+    const { next, value } = step(state);
+    state = next;
+    return value;
+}
+
+// An independent generator for work outside any game (e.g. the mock ingestion feed), so its
+// draws neither consume nor mirror a game's sequence. Same seeding rules as SEROX_SEED.
+export function createRandom(seedValue) {
+    let own = parseSeed(seedValue);
+    return () => {
+        if (own === null) return Math.random();
+        const { next, value } = step(own);
+        own = next;
+        return value;
+    };
+}
+
+export function seedRandom(newSeed) {
+    seed = parseSeed(newSeed);
+    state = seed;
+    return seed;
+}
+
+export function getRandomSeed() {
+    return seed;
+}
+
+export function getRandomSnapshot() {
+    return { seed, state };
+}
+
+// Passing null starts over from the default seed; a snapshot with a null seed stays unseeded.
+export function restoreRandomState(snapshot) {
+    if (snapshot && (snapshot.seed === null || Number.isInteger(snapshot.seed))) {
+        seed = snapshot.seed;
+        state = Number.isInteger(snapshot.state) ? snapshot.state : snapshot.seed;
+    } else {
+        seed = DEFAULT_SEED;
+        state = DEFAULT_SEED;
+    }
+}
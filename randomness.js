@@ -0,0 +1,199 @@
+// randomness.js - Statistical Randomness Diagnostics
+// Checks whether the result stream deviates from a fair, independent 0-9 draw at all.
+// If none of the tests reject randomness there is no edge for any model to exploit.
+
+import { getBigSmallFromNumber } from './utils.js';
+
+const SIGNIFICANCE_LEVEL = 0.05;
+const MIN_SAMPLE_SIZE = 30;
+const AUTOCORRELATION_LAGS = [1, 2, 3, 5, 10];
+const MAX_STREAK_BIN = 5; // Streaks of this length or longer share one bin
+
+// --- Distribution Helpers ---
+
+function logGamma(x) {
+    // Lanczos approximation
+    const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let ser = 1.000000000190015;
+    for (const coef of c) ser += coef / ++y;
+    return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+// Regularised upper incomplete gamma Q(a, x)
+function gammaQ(a, x) {
+    if (x <= 0) return 1;
+    if (x < a + 1) {
+        let sum = 1 / a, term = sum;
+        for (let n = 1; n < 200; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+        }
+        return 1 - sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+    }
+    // Continued fraction (modified Lentz)
+    let b = x + 1 - a, c = 1e300, d = 1 / b, h = d;
+    for (let i = 1; i < 200; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < 1e-300) d = 1e-300;
+        c = b + an / c;
+        if (Math.abs(c) < 1e-300) c = 1e-300;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+function chiSquarePValue(statistic, df) {
+    return gammaQ(df / 2, statistic / 2);
+}
+
+// Two-sided p-value for a standard normal z score
+function normalPValue(z) {
+    // erfc via Numerical Recipes' Chebyshev approximation
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.5 * x);
+    const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+    return Math.min(1, erfc);
+}
+
+// --- Individual Tests ---
+// All tests take numbers in chronological order (oldest first).
+
+function digitFrequencyTest(numbers) {
+    const observed = new Array(10).fill(0);
+    for (const n of numbers) observed[n]++;
+    const expected = numbers.length / 10;
+    const statistic = observed.reduce((acc, count) => acc + Math.pow(count - expected, 2) / expected, 0);
+    return { statistic, df: 9, pValue: chiSquarePValue(statistic, 9), observed, expected };
+}
+
+function runsTest(outcomes) {
+    const n1 = outcomes.filter(o => o === 'BIG').length;
+    const n2 = outcomes.length - n1;
+    if (n1 === 0 || n2 === 0) return { runs: 1, expectedRuns: null, z: null, pValue: null };
+
+    let runs = 1;
+    for (let i = 1; i < outcomes.length; i++) {
+        if (outcomes[i] !== outcomes[i - 1]) runs++;
+    }
+    const n = n1 + n2;
+    const expectedRuns = (2 * n1 * n2) / n + 1;
+    const variance = (2 * n1 * n2 * (2 * n1 * n2 - n)) / (n * n * (n - 1));
+    const z = (runs - expectedRuns) / Math.sqrt(variance);
+    return { runs, expectedRuns, z, pValue: normalPValue(z) };
+}
+
+function autocorrelationTest(numbers) {
+    const n = numbers.length;
+    const mean = numbers.reduce((a, b) => a + b, 0) / n;
+    const denominator = numbers.reduce((acc, x) => acc + Math.pow(x - mean, 2), 0);
+    if (denominator === 0) return { lags: [], ljungBox: null };
+
+    const lags = AUTOCORRELATION_LAGS.filter(lag => lag < n).map(lag => {
+        let numerator = 0;
+        for (let i = lag; i < n; i++) numerator += (numbers[i] - mean) * (numbers[i - lag] - mean);
+        const r = numerator / denominator;
+        const z = r * Math.sqrt(n);
+        return { lag, r, z, pValue: normalPValue(z) };
+    });
+
+    const ljungStatistic = n * (n + 2) * lags.reduce((acc, { lag, r }) => acc + (r * r) / (n - lag), 0);
+    return {
+        lags,
+        ljungBox: { statistic: ljungStatistic, df: lags.length, pValue: chiSquarePValue(ljungStatistic, lags.length) }
+    };
+}
+
+// Under a fair coin a streak has length k with probability 0.5^k (geometric).
+function streakLengthTest(outcomes) {
+    const lengths = streakLengths(outcomes);
+    const observed = new Array(MAX_STREAK_BIN).fill(0);
+    for (const length of lengths) observed[Math.min(length, MAX_STREAK_BIN) - 1]++;
+
+    const totalStreaks = observed.reduce((a, b) => a + b, 0);
+    const expected = observed.map((_, i) => totalStreaks * (i === MAX_STREAK_BIN - 1 ? Math.pow(0.5, i) : Math.pow(0.5, i + 1)));
+    const statistic = observed.reduce((acc, count, i) => acc + Math.pow(count - expected[i], 2) / expected[i], 0);
+    const df = MAX_STREAK_BIN - 1;
+    return {
+        statistic,
+        df,
+        pValue: chiSquarePValue(statistic, df),
+        longestStreak: Math.max(...lengths),
+        observed,
+        expected,
+        bins: observed.map((_, i) => (i === MAX_STREAK_BIN - 1 ? `${i + 1}+` : `${i + 1}`))
+    };
+}
+
+function streakLengths(outcomes) {
+    const lengths = [];
+    let length = 1;
+    for (let i = 1; i <= outcomes.length; i++) {
+        if (i < outcomes.length && outcomes[i] === outcomes[i - 1]) length++;
+        else {
+            lengths.push(length);
+            length = 1;
+        }
+    }
+    return lengths;
+}
+
+// --- Combined Diagnostics ---
+
+// Accepts history entries (newest first, as stored by the server) or bare numbers.
+export function analyzeRandomness(historyOrNumbers) {
+    const numbers = historyOrNumbers
+        .map(entry => (typeof entry === 'number' ? entry : entry?.actualNumber))
+        .filter(n => Number.isInteger(n) && n >= 0 && n <= 9)
+        .reverse();
+
+    if (numbers.length < MIN_SAMPLE_SIZE) {
+        return {
+            sampleSize: numbers.length,
+            verdict: 'INSUFFICIENT_DATA',
+            summary: `At least ${MIN_SAMPLE_SIZE} results are needed for randomness diagnostics.`
+        };
+    }
+
+    const outcomes = numbers.map(getBigSmallFromNumber);
+    const tests = {
+        digitFrequency: digitFrequencyTest(numbers),
+        runs: runsTest(outcomes),
+        autocorrelation: autocorrelationTest(numbers),
+        streakLength: streakLengthTest(outcomes)
+    };
+
+    const pValues = [
+        tests.digitFrequency.pValue,
+        tests.runs.pValue,
+        tests.autocorrelation.ljungBox?.pValue,
+        tests.streakLength.pValue
+    ].filter(p => Number.isFinite(p));
+
+    // Bonferroni correction, since four tests get four chances at a false alarm
+    const threshold = SIGNIFICANCE_LEVEL / pValues.length;
+    const minPValue = Math.min(...pValues);
+    const nonRandom = minPValue < threshold;
+
+    return {
+        sampleSize: numbers.length,
+        significanceLevel: SIGNIFICANCE_LEVEL,
+        correctedThreshold: threshold,
+        minPValue,
+        verdict: nonRandom ? 'NON_RANDOM' : 'RANDOM',
+        summary: nonRandom
+            ? 'The result stream deviates from a fair random draw; a predictive edge may exist.'
+            : 'No deviation from a fair random draw detected; no predictive edge is expected.',
+        tests
+    };
+}
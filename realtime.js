@@ -0,0 +1,137 @@
+// realtime.js - Server-Sent Events Push
+// Broadcasts new predictions, settled history entries and system-health changes to every
+// subscribed dashboard. Event ids are `<epoch>-<seq>`: seq counts a game's events, and the
+// epoch is drawn whenever its stream starts (a server restart, a deleted and recreated game),
+// so a reconnecting client can resume from its last seen id (the standard SSE Last-Event-ID
+// header or `?cursor=`) and is told to resync when that id belongs to an earlier stream.
+
+import { randomBytes } from 'crypto';
+
+const MAX_BUFFERED_EVENTS = 500;
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+const streams = new Map(); // gameId -> { epoch, nextSeq, buffer, clients }
+
+function getStream(gameId) {
+    let stream = streams.get(gameId);
+    if (!stream) {
+        stream = { epoch: randomBytes(4).toString('hex'), nextSeq: 1, buffer: [], clients: new Set() };
+        streams.set(gameId, stream);
+    }
+    return stream;
+}
+
+function eventId(stream, seq) {
+    return `${stream.epoch}-${seq}`;
+}
+
+// Returns { epoch, seq }, or null for anything that is not one of our ids.
+function parseEventId(id) {
+    const match = /^([0-9a-f]+)-(\d{1,15})$/.exec(String(id));
+    return match ? { epoch: match[1], seq: Number(match[2]) } : null;
+}
+
+function writeEvent(res, event) {
+    if (event.id !== undefined) res.write(`id: ${event.id}\n`);
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// --- Publishing ---
+
+export function publishEvent(gameId, type, data) {
+    const stream = getStream(gameId);
+    const seq = stream.nextSeq++;
+    const event = { id: eventId(stream, seq), seq, type, data: { gameId, ...data, publishedAt: Date.now() } };
+
+    stream.buffer.push(event);
+    if (stream.buffer.length > MAX_BUFFERED_EVENTS) {
+        stream.buffer.shift();
+    }
+    for (const res of stream.clients) {
+        writeEvent(res, event);
+    }
+    return event;
+}
+
+// Translates one processed result (see processGameResult) into stream events.
+export function publishCycleEvents(gameId, cycle, previousHealth) {
+    if (cycle.duplicate) return;
+
+    if (cycle.settledPrediction) {
+        publishEvent(gameId, 'settlement', { entry: cycle.historyEntry, late: cycle.late });
+    }
+    if (cycle.anomaly) {
+        publishEvent(gameId, 'anomaly', { anomaly: cycle.anomaly });
+    }
+    if (!cycle.late && cycle.currentPrediction) {
+        publishEvent(gameId, 'prediction', { currentPrediction: cycle.currentPrediction });
+
+        const health = cycle.currentPrediction.systemHealth;
+        if (previousHealth && health !== previousHealth) {
+            publishEvent(gameId, 'health', { from: previousHealth, to: health, period: cycle.currentPrediction.period });
+        }
+    }
+}
+
+// --- Subscribing ---
+
+// `cursor` is the last event id the client saw; newer buffered events are replayed.
+// `snapshot` is the current state, sent first so a fresh client needs no extra request.
+export function subscribe(gameId, req, res, { cursor = null, snapshot = null } = {}) {
+    const stream = getStream(gameId);
+    const lastEventId = eventId(stream, stream.nextSeq - 1);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 3000\n\n`);
+
+    if (snapshot) {
+        writeEvent(res, { type: 'snapshot', data: { gameId, ...snapshot, lastEventId } });
+    }
+
+    if (cursor !== null) {
+        const lastSeen = parseEventId(cursor);
+        const oldestBuffered = stream.buffer.length > 0 ? stream.buffer[0].seq : stream.nextSeq;
+        if (lastSeen === null || lastSeen.epoch !== stream.epoch || lastSeen.seq >= stream.nextSeq) {
+            // The cursor belongs to an earlier stream; its seq says nothing about this one.
+            writeEvent(res, { type: 'resync', data: { gameId, reason: 'EPOCH_CHANGED', lastEventId } });
+        } else {
+            if (lastSeen.seq < oldestBuffered - 1) {
+                // The client missed more than we kept; it must refetch full state.
+                writeEvent(res, { type: 'resync', data: { gameId, reason: 'CURSOR_EXPIRED', oldestAvailableId: eventId(stream, oldestBuffered) } });
+            }
+            for (const event of stream.buffer) {
+                if (event.seq > lastSeen.seq) writeEvent(res, event);
+            }
+        }
+    }
+
+    stream.clients.add(res);
+    const heartbeat = setInterval(() => res.write(`: heartbeat\n\n`), HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        stream.clients.delete(res);
+    });
+}
+
+// Ends every connection of a deleted game with a final `deleted` event.
+export function closeStream(gameId) {
+    const stream = streams.get(gameId);
+    if (!stream) return;
+    for (const res of stream.clients) {
+        writeEvent(res, { type: 'deleted', data: { gameId } });
+        res.end();
+    }
+    streams.delete(gameId);
+}
+
+export function getSubscriberCount(gameId) {
+    return streams.get(gameId)?.clients.size || 0;
+}
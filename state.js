@@ -1,95 +1,120 @@
 // state.js - System State & Evolution Management
 
-import { getBigSmallFromNumber } from './utils.js';
+import { getDefaultFeatureWeights } from './features.js';
+import { sgdStep } from './logistic_model.js';
+import { runtimeConfig } from './config.js';
 
 // --- Centralized System State ---
-export let systemState = {
-    MIN_HISTORY: 100,
-    BAD_TREND_THRESHOLD: 0.45,
-    TARGET_ACCURACY: 0.54,
-    EVOLUTION_RATE: 0.005,
-    DEFENSIVE_MODE_ACTIVE: false,
-};
+// Per-game state that evolves while predicting; fixed thresholds live in config.js. A game
+// evolves an offset from BAD_TREND_THRESHOLD rather than its own copy, so a runtime change
+// of the threshold or its bounds reaches every live game at once.
+function getDefaultSystemState() {
+    return {
+        BAD_TREND_OFFSET: 0,
+    };
+}
 
-// --- Evolving Feature Weights for the Primary ML Model ---
-export let mlFeatureWeights = {
-    // Core Indicators
-    rsi_strength: 1.5,
-    rsi_is_overbought: -2.0,
-    rsi_is_oversold: 2.0,
-    macd_hist: 2.5,
-    trend_strength_score: 3.0,
-
-    // Price Action & Volatility
-    bollinger_pct_reversal: -2.5,
-    last_move: 0.5,
-    volatility_expansion: 1.2,
-
-    // External Factors
-    market_sentiment: 1.0,
-
-    // New Advisory Model Features
-    stochastic_k: -1.8, // Reversal signal
-    rsi_trend_strength: 1.0,
+export let systemState = getDefaultSystemState();
+
+// --- Primary Model Coefficients ---
+// Logistic regression over the features.js vector (see logistic_model.js). The default
+// weights are declared next to each feature in features.js and serve as the prior.
+const DEFAULT_ML_FEATURE_WEIGHTS = getDefaultFeatureWeights();
+const DEFAULT_ML_BIAS = 0;
+
+export let mlFeatureWeights = { ...DEFAULT_ML_FEATURE_WEIGHTS };
+export let mlCoefficients = { bias: DEFAULT_ML_BIAS, weights: mlFeatureWeights };
+
+// --- Learner Bookkeeping ---
+const DEFAULT_LEARNER_STATS = {
+    labelledSamplesSeen: 0, // Settled predictions that carried a feature vector
+    trainingRuns: 0, // Online SGD updates applied
+    lastBatchSize: 0,
+    lastTrainedAt: null,
+    averageLogLoss: null, // Exponential moving average over online updates
+    modelLoadedAt: null,
 };
 
+export let learnerStats = { ...DEFAULT_LEARNER_STATS };
+
 // --- State Management Functions ---
 
-export function evolveSystemParameters(globalAccuracy) {
-    if (globalAccuracy < systemState.TARGET_ACCURACY - 0.02) {
-        systemState.BAD_TREND_THRESHOLD = Math.min(0.48, systemState.BAD_TREND_THRESHOLD + systemState.EVOLUTION_RATE);
-    } else if (globalAccuracy > systemState.TARGET_ACCURACY + 0.02) {
-        systemState.BAD_TREND_THRESHOLD = Math.max(0.42, systemState.BAD_TREND_THRESHOLD - systemState.EVOLUTION_RATE);
-    }
+// Restores the defaults in place so every importer keeps the same object references.
+export function resetSystemState() {
+    for (const key of Object.keys(systemState)) delete systemState[key];
+    Object.assign(systemState, getDefaultSystemState());
+    for (const key of Object.keys(mlFeatureWeights)) delete mlFeatureWeights[key];
+    Object.assign(mlFeatureWeights, DEFAULT_ML_FEATURE_WEIGHTS);
+    mlCoefficients.bias = DEFAULT_ML_BIAS;
+    Object.assign(learnerStats, DEFAULT_LEARNER_STATS);
 }
 
-export function evolveMLWeights(history) {
-    const learningRate = 0.01;
-    const recentTrades = history.filter(p => p.mlFeatures && p.status).slice(0, 50);
-    if (recentTrades.length < 20) return;
-
-    let adjustments = Object.keys(mlFeatureWeights).reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
-
-    for (const trade of recentTrades) {
-        const wasCorrect = trade.status === "Win";
-        const wasBigPrediction = trade.lastPredictedOutcome === "BIG";
-        for (const key in trade.mlFeatures) {
-            if (mlFeatureWeights[key] === undefined) continue;
-
-            const featureValue = trade.mlFeatures[key];
-            const featureImpactIsBig = featureValue * mlFeatureWeights[key] > 0;
-            const wasFeatureAlignedWithPrediction = wasBigPrediction ? featureImpactIsBig : !featureImpactIsBig;
+export function getStateSnapshot() {
+    return {
+        systemState: { ...systemState },
+        mlFeatureWeights: { ...mlFeatureWeights },
+        mlBias: mlCoefficients.bias,
+        learnerStats: { ...learnerStats }
+    };
+}
 
-            if (wasCorrect && wasFeatureAlignedWithPrediction) {
-                adjustments[key] += learningRate;
-            } else if (!wasCorrect && wasFeatureAlignedWithPrediction) {
-                adjustments[key] -= learningRate;
-            }
+// Saved values are layered over the defaults so keys added since the snapshot was taken still exist.
+// Thresholds that older snapshots kept in systemState now come from config.js and are skipped;
+// an evolved BAD_TREND_THRESHOLD becomes the equivalent offset.
+export function restoreStateSnapshot(snapshot) {
+    resetSystemState();
+    for (const key in snapshot?.systemState || {}) {
+        if (systemState[key] !== undefined) systemState[key] = snapshot.systemState[key];
+    }
+    const savedThreshold = snapshot?.systemState?.BAD_TREND_THRESHOLD;
+    if (snapshot?.systemState?.BAD_TREND_OFFSET === undefined && Number.isFinite(savedThreshold)) {
+        systemState.BAD_TREND_OFFSET = savedThreshold - runtimeConfig.BAD_TREND_THRESHOLD;
+    }
+    for (const key in snapshot?.mlFeatureWeights || {}) {
+        if (mlFeatureWeights[key] !== undefined && Number.isFinite(snapshot.mlFeatureWeights[key])) {
+            mlFeatureWeights[key] = snapshot.mlFeatureWeights[key];
         }
     }
+    if (Number.isFinite(snapshot?.mlBias)) mlCoefficients.bias = snapshot.mlBias;
+    Object.assign(learnerStats, snapshot?.learnerStats || {});
+}
+
+// The game's bad-trend threshold: the configured one plus its evolved offset, within the configured bounds.
+export function getBadTrendThreshold() {
+    const threshold = runtimeConfig.BAD_TREND_THRESHOLD + systemState.BAD_TREND_OFFSET;
+    return Math.max(runtimeConfig.BAD_TREND_THRESHOLD_MIN, Math.min(runtimeConfig.BAD_TREND_THRESHOLD_MAX, threshold));
+}
 
-    for (const key in mlFeatureWeights) {
-        mlFeatureWeights[key] = Math.max(0.1, Math.min(5.0, mlFeatureWeights[key] + adjustments[key]));
+export function evolveSystemParameters(globalAccuracy) {
+    let threshold = getBadTrendThreshold();
+    if (globalAccuracy < runtimeConfig.TARGET_ACCURACY - 0.02) {
+        threshold = Math.min(runtimeConfig.BAD_TREND_THRESHOLD_MAX, threshold + runtimeConfig.EVOLUTION_RATE);
+    } else if (globalAccuracy > runtimeConfig.TARGET_ACCURACY + 0.02) {
+        threshold = Math.max(runtimeConfig.BAD_TREND_THRESHOLD_MIN, threshold - runtimeConfig.EVOLUTION_RATE);
     }
+    systemState.BAD_TREND_OFFSET = threshold - runtimeConfig.BAD_TREND_THRESHOLD;
 }
 
-function detectBadTrend(history) {
-    const BAD_TREND_WINDOW = 30;
-    if (!history || history.length < BAD_TREND_WINDOW) return false;
-    const recentHistory = history.slice(0, BAD_TREND_WINDOW);
-    const wins = recentHistory.filter(p => p.status === "Win").length;
-    const losses = recentHistory.filter(p => p.status === "Loss").length;
-    if (wins + losses < 15) return false;
-    const accuracy = wins / (wins + losses);
-    return accuracy < systemState.BAD_TREND_THRESHOLD;
+// One online SGD step per settled prediction: the features it was issued with, labelled by the actual result.
+export function trainOnSettledPrediction(entry) {
+    if (!entry.mlFeatures || (entry.resultType !== 'BIG' && entry.resultType !== 'SMALL')) return;
+
+    const loss = sgdStep(mlCoefficients, entry.mlFeatures, entry.resultType === 'BIG' ? 1 : 0, {
+        learningRate: runtimeConfig.ML_LEARNING_RATE,
+        l2: runtimeConfig.ML_L2
+    });
+
+    learnerStats.trainingRuns++;
+    learnerStats.lastBatchSize = 1;
+    learnerStats.lastTrainedAt = Date.now();
+    learnerStats.averageLogLoss = learnerStats.averageLogLoss === null ? loss : learnerStats.averageLogLoss * 0.95 + loss * 0.05;
 }
 
-export function manageDefensiveMode(history) {
-    if (detectBadTrend(history)) {
-        systemState.DEFENSIVE_MODE_ACTIVE = true;
-    }
-    const last3 = history.slice(0, 3).map(p => p.status);
-    if (systemState.DEFENSIVE_MODE_ACTIVE && last3.length === 3 && last3.every(s => s === 'Win')) {
-        systemState.DEFENSIVE_MODE_ACTIVE = false;
+// Replaces the coefficients with a trained model (see parseModel in logistic_model.js).
+export function loadMLCoefficients(coefficients) {
+    for (const key of Object.keys(mlFeatureWeights)) {
+        mlFeatureWeights[key] = coefficients.weights[key] ?? 0;
     }
+    mlCoefficients.bias = coefficients.bias;
+    learnerStats.modelLoadedAt = Date.now();
 }
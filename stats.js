@@ -0,0 +1,101 @@
+// stats.js - Accuracy & Performance Statistics
+// Aggregates settled predictions from the ledger, and keeps the all-time Win/Loss totals
+// behind the long-term global accuracy that drives evolveSystemParameters. Warm-up coin flips
+// (systemHealth INSUFFICIENT_HISTORY) say nothing about the model and are left out of both,
+// as backtest.js and defensive_mode.js do.
+
+export const DEFAULT_STATS_WINDOWS = [20, 50, 100];
+const MIN_LONG_TERM_SAMPLES = 50;
+
+function isWarmup(entry) {
+    return entry.systemHealth === 'INSUFFICIENT_HISTORY';
+}
+
+// --- Long-Term Totals ---
+
+let accuracyTotals = { wins: 0, losses: 0 };
+
+export function recordSettlementOutcome(entry) {
+    if (isWarmup(entry)) return;
+    if (entry.status === 'Win') accuracyTotals.wins++;
+    else if (entry.status === 'Loss') accuracyTotals.losses++;
+}
+
+// Null until enough predictions have settled for the figure to mean anything.
+export function getLongTermGlobalAccuracy() {
+    const total = accuracyTotals.wins + accuracyTotals.losses;
+    return total >= MIN_LONG_TERM_SAMPLES ? accuracyTotals.wins / total : null;
+}
+
+export function getAccuracyTotalsSnapshot() {
+    return { ...accuracyTotals };
+}
+
+export function restoreAccuracyTotals(snapshot) {
+    accuracyTotals = {
+        wins: Number.isInteger(snapshot?.wins) ? snapshot.wins : 0,
+        losses: Number.isInteger(snapshot?.losses) ? snapshot.losses : 0
+    };
+}
+
+// --- Aggregation Helpers ---
+
+function isScored(entry) {
+    return (entry.status === 'Win' || entry.status === 'Loss') && !isWarmup(entry);
+}
+
+function summariseAccuracy(entries) {
+    const wins = entries.filter(e => e.status === 'Win').length;
+    const losses = entries.filter(e => e.status === 'Loss').length;
+    return { wins, losses, accuracy: wins + losses > 0 ? wins / (wins + losses) : null };
+}
+
+function groupAccuracy(entries, keyOf) {
+    const groups = {};
+    for (const entry of entries) {
+        const key = String(keyOf(entry));
+        (groups[key] = groups[key] || []).push(entry);
+    }
+    return Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, summariseAccuracy(group)]));
+}
+
+// `scored` is newest first.
+function computeStreaks(scored) {
+    const current = { type: null, length: 0 };
+    for (const entry of scored) {
+        if (current.type === null) current.type = entry.status;
+        if (entry.status !== current.type) break;
+        current.length++;
+    }
+
+    let maxWin = 0, maxLoss = 0, runType = null, runLength = 0;
+    for (const entry of scored) {
+        runLength = entry.status === runType ? runLength + 1 : 1;
+        runType = entry.status;
+        if (runType === 'Win') maxWin = Math.max(maxWin, runLength);
+        else maxLoss = Math.max(maxLoss, runLength);
+    }
+
+    return { current, maxWin, maxLoss };
+}
+
+// --- Report ---
+
+export function computeStats(ledger, { windows = DEFAULT_STATS_WINDOWS } = {}) {
+    const scored = ledger.filter(isScored);
+
+    return {
+        settledPredictions: scored.length,
+        warmupPredictions: ledger.filter(e => isWarmup(e) && (e.status === 'Win' || e.status === 'Loss')).length,
+        rolling: windows.map(size => ({ window: size, ...summariseAccuracy(scored.slice(0, size)) })),
+        byConfidenceLevel: groupAccuracy(scored, e => e.confidenceLevel),
+        bySource: groupAccuracy(scored, e => e.source),
+        bySystemHealth: groupAccuracy(scored, e => e.systemHealth),
+        streaks: computeStreaks(scored),
+        longTerm: {
+            ...accuracyTotals,
+            minSamples: MIN_LONG_TERM_SAMPLES,
+            globalAccuracy: getLongTermGlobalAccuracy()
+        }
+    };
+}
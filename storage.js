@@ -0,0 +1,175 @@
+// storage.js - Durable State Persistence
+// Snapshots the server session and the learned model state after each prediction
+// cycle and restores them on startup, so a redeploy does not wipe the warm-up
+// history or the evolved feature weights.
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+
+import { DEFAULT_GAME_ID, getAllGames, getGameModelState, loadGames } from './games.js';
+import { getConfigSnapshot, restoreConfig } from './config.js';
+import { getDefaultFeatureWeights } from './features.js';
+
+export const SNAPSHOT_SCHEMA_VERSION = 3;
+
+const SHARED_STATS_KEYS = ['lastActualOutcome', 'lastPredictedOutcome', 'lastConfidenceLevel', 'longTermGlobalAccuracy', 'status'];
+
+function pickSharedStats(sharedStats) {
+    return Object.fromEntries(SHARED_STATS_KEYS.filter(key => sharedStats?.[key] !== undefined).map(key => [key, sharedStats[key]]));
+}
+
+// Each entry upgrades a snapshot from version N to N + 1.
+const MIGRATIONS = {
+    // v1 held a single game at the top level; v2 keys every game's state by gameId.
+    1: snapshot => ({
+        savedAt: snapshot.savedAt,
+        games: {
+            [DEFAULT_GAME_ID]: {
+                session: snapshot.session,
+                modelState: {
+                    systemState: snapshot.systemState,
+                    mlFeatureWeights: snapshot.mlFeatureWeights,
+                    learnerStats: snapshot.learnerStats,
+                    marketEvents: snapshot.marketEvents
+                }
+            }
+        }
+    }),
+    // v3 weights are logistic regression coefficients; the hand-tuned v2 weights mean nothing
+    // to that model, so every game restarts from the registry defaults and a zero bias.
+    // v2 sharedStats also carried a copy of the last decision, which nothing reads.
+    2: snapshot => ({
+        ...snapshot,
+        games: Object.fromEntries(Object.entries(snapshot.games || {}).map(([gameId, game]) => [gameId, {
+            ...game,
+            session: game.session && { ...game.session, sharedStats: pickSharedStats(game.session.sharedStats) },
+            modelState: game.modelState && {
+                ...game.modelState,
+                mlFeatureWeights: getDefaultFeatureWeights(),
+                mlBias: 0
+            }
+        }]))
+    })
+};
+
+// --- Storage Drivers ---
+// A driver is any object exposing `load()` (resolving to a snapshot or null), `save(snapshot)`
+// and `flush()` (resolving once every saved snapshot is stored).
+
+export function createFileStorage(filePath) {
+    const absolutePath = resolve(filePath);
+    let pendingWrite = null; // The write loop while it runs
+    let queued = null; // The newest snapshot not yet written
+
+    async function write(snapshot) {
+        await mkdir(dirname(absolutePath), { recursive: true });
+        const tempPath = `${absolutePath}.tmp`;
+        await writeFile(tempPath, JSON.stringify(snapshot));
+        await rename(tempPath, absolutePath);
+    }
+
+    async function drain() {
+        try {
+            while (queued) {
+                const snapshot = queued;
+                queued = null;
+                await write(snapshot);
+            }
+        } finally {
+            pendingWrite = null;
+        }
+    }
+
+    return {
+        name: 'file',
+        async load() {
+            try {
+                return JSON.parse(await readFile(absolutePath, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        save(snapshot) {
+            // One write at a time, so overlapping cycles never interleave; a snapshot saved while
+            // one is in flight replaces any still waiting, so only the newest is written next.
+            // Writes go through a temporary file so a crash mid-write cannot leave a truncated
+            // snapshot behind.
+            queued = snapshot;
+            if (!pendingWrite) pendingWrite = drain();
+            return pendingWrite;
+        },
+        async flush() {
+            while (pendingWrite) await pendingWrite;
+        }
+    };
+}
+
+export function createMemoryStorage() {
+    let stored = null;
+    return {
+        name: 'memory',
+        async load() {
+            return stored ? JSON.parse(stored) : null;
+        },
+        async save(snapshot) {
+            stored = JSON.stringify(snapshot);
+        },
+        async flush() {}
+    };
+}
+
+export function createStorageFromEnv(env = process.env) {
+    const driver = (env.STORAGE_DRIVER || 'file').toLowerCase();
+    if (driver === 'memory') return createMemoryStorage();
+    if (driver === 'file') return createFileStorage(env.STORAGE_PATH || './data/serox-state.json');
+    throw new Error(`Unknown STORAGE_DRIVER '${driver}'.`);
+}
+
+// --- Snapshot Capture & Restore ---
+
+export function captureSnapshot() {
+    const games = {};
+    for (const game of getAllGames()) {
+        const { session } = game;
+        games[game.gameId] = {
+            session: {
+                lastProcessedPeriod: session.lastProcessedPeriod,
+                history: session.history,
+                sharedStats: session.sharedStats,
+                currentPrediction: session.currentPrediction,
+                ledger: session.ledger
+            },
+            modelState: getGameModelState(game),
+            createdAt: game.createdAt,
+            lastActivityAt: game.lastActivityAt
+        };
+    }
+    return { schemaVersion: SNAPSHOT_SCHEMA_VERSION, savedAt: Date.now(), games, config: getConfigSnapshot() };
+}
+
+function migrateSnapshot(snapshot) {
+    let migrated = snapshot;
+    let version = Number(migrated.schemaVersion);
+    if (!Number.isInteger(version)) {
+        throw new Error("Snapshot has no schema version.");
+    }
+    if (version > SNAPSHOT_SCHEMA_VERSION) {
+        throw new Error(`Snapshot schema v${version} is newer than supported v${SNAPSHOT_SCHEMA_VERSION}.`);
+    }
+    while (version < SNAPSHOT_SCHEMA_VERSION) {
+        if (!MIGRATIONS[version]) {
+            throw new Error(`No migration from snapshot schema v${version}.`);
+        }
+        migrated = { ...MIGRATIONS[version](migrated), schemaVersion: version + 1 };
+        version++;
+    }
+    return migrated;
+}
+
+export function restoreSnapshot(rawSnapshot) {
+    const snapshot = migrateSnapshot(rawSnapshot);
+    restoreConfig(snapshot.config);
+    loadGames(snapshot.games);
+    return snapshot;
+}
@@ -0,0 +1,166 @@
+// config.test.js - Runtime Configuration
+// Covers validation, runtime overrides and snapshots, and the default < file < env < runtime
+// precedence. The base configuration is read once at import, so precedence is checked in
+// a child process with its own environment.
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+import { CONFIG_SCHEMA, getConfigReport, restoreConfig, runtimeConfig, updateConfig, validateConfigChanges } from '../config.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const DEFAULTS = Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, spec.default]));
+
+// Imports config.js in a fresh process, applies `changes` at runtime, and returns the resulting values
+function loadInChild(env, changes = {}) {
+    const script = `
+        import { runtimeConfig, updateConfig } from './config.js';
+        const result = updateConfig(${JSON.stringify(changes)}, 'test');
+        if (result.errors) throw new Error(JSON.stringify(result.errors));
+        process.stdout.write(JSON.stringify(runtimeConfig));
+    `;
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+        cwd: ROOT,
+        env: { PATH: process.env.PATH, ...env },
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    return JSON.parse(output);
+}
+
+afterEach(() => {
+    restoreConfig(null);
+});
+
+// --- Validation ---
+
+test('changes are coerced from strings and merged over the base', () => {
+    const base = { ...DEFAULTS };
+    const result = validateConfigChanges({ MIN_HISTORY: '120', NO_EDGE_GUARD_ENABLED: 'true', TARGET_ACCURACY: 0.6 }, base);
+
+    assert.equal(result.errors, undefined);
+    assert.equal(result.values.MIN_HISTORY, 120);
+    assert.equal(result.values.NO_EDGE_GUARD_ENABLED, true);
+    assert.equal(result.values.TARGET_ACCURACY, 0.6);
+    assert.equal(result.values.MAX_HISTORY_LENGTH, DEFAULTS.MAX_HISTORY_LENGTH);
+    assert.deepEqual(base, DEFAULTS);
+});
+
+test('unknown keys, wrong types and out-of-range values are all reported', () => {
+    const { errors, values } = validateConfigChanges({
+        NOT_A_KEY: 1,
+        MIN_HISTORY: 100.5,
+        MAX_HISTORY_LENGTH: 'many',
+        TARGET_ACCURACY: 0.95,
+        NO_EDGE_GUARD_ENABLED: 1
+    }, DEFAULTS);
+
+    assert.equal(values, undefined);
+    assert.deepEqual(errors, [
+        { key: 'NOT_A_KEY', message: "Unknown configuration key 'NOT_A_KEY'." },
+        { key: 'MIN_HISTORY', message: "MIN_HISTORY must be an integer." },
+        { key: 'MAX_HISTORY_LENGTH', message: "MAX_HISTORY_LENGTH must be a number." },
+        { key: 'TARGET_ACCURACY', message: "TARGET_ACCURACY must be between 0.5 and 0.9." },
+        { key: 'NO_EDGE_GUARD_ENABLED', message: "NO_EDGE_GUARD_ENABLED must be a boolean." }
+    ]);
+});
+
+test('values that are valid alone but inconsistent together are rejected', () => {
+    const cases = [
+        [{ MIN_HISTORY: 200, MAX_HISTORY_LENGTH: 150 }, 'MIN_HISTORY'],
+        [{ BAD_TREND_MIN_SETTLED: 40 }, 'BAD_TREND_MIN_SETTLED'],
+        [{ BAD_TREND_THRESHOLD: 0.5 }, 'BAD_TREND_THRESHOLD'],
+        [{ RECOVERY_ENTRY_ACCURACY: 0.6 }, 'RECOVERY_ENTRY_ACCURACY'],
+        [{ CAUTION_LOSS_STREAK: 7 }, 'CAUTION_LOSS_STREAK']
+    ];
+    for (const [changes, key] of cases) {
+        const { errors } = validateConfigChanges(changes, DEFAULTS);
+        assert.deepEqual(errors.map(e => e.key), [key], JSON.stringify(changes));
+    }
+    assert.ok(validateConfigChanges({ MIN_HISTORY: 200, MAX_HISTORY_LENGTH: 300 }, DEFAULTS).values);
+});
+
+// --- Runtime Changes ---
+
+test('a runtime change is applied, reported as a diff and audited', () => {
+    const result = updateConfig({ MIN_HISTORY: 120, MAX_HISTORY_LENGTH: DEFAULTS.MAX_HISTORY_LENGTH }, 'alice', 'warm start');
+
+    assert.deepEqual(result.changes, { MIN_HISTORY: { from: DEFAULTS.MIN_HISTORY, to: 120 } });
+    assert.equal(runtimeConfig.MIN_HISTORY, 120);
+
+    const report = getConfigReport();
+    assert.deepEqual(report.overrides, { MIN_HISTORY: 120, MAX_HISTORY_LENGTH: DEFAULTS.MAX_HISTORY_LENGTH });
+    assert.equal(report.audit[0].actor, 'alice');
+    assert.equal(report.audit[0].note, 'warm start');
+    assert.deepEqual(report.audit[0].changes, result.changes);
+});
+
+test('null drops a runtime override', () => {
+    updateConfig({ MIN_HISTORY: 120 }, 'alice');
+    const result = updateConfig({ MIN_HISTORY: null }, 'alice');
+
+    assert.deepEqual(result.auditEntry.resets, ['MIN_HISTORY']);
+    assert.equal(runtimeConfig.MIN_HISTORY, DEFAULTS.MIN_HISTORY);
+    assert.deepEqual(getConfigReport().overrides, {});
+});
+
+test('a rejected change leaves the configuration untouched', () => {
+    updateConfig({ MIN_HISTORY: 120 }, 'alice');
+    const result = updateConfig({ MAX_HISTORY_LENGTH: 100 }, 'bob');
+
+    assert.deepEqual(result.errors.map(e => e.key), ['MIN_HISTORY']);
+    assert.equal(runtimeConfig.MAX_HISTORY_LENGTH, DEFAULTS.MAX_HISTORY_LENGTH);
+    assert.deepEqual(getConfigReport().overrides, { MIN_HISTORY: 120 });
+    assert.equal(getConfigReport().audit.length, 1);
+});
+
+test('saved overrides are restored, and dropped as a whole when any no longer validates', () => {
+    restoreConfig({ overrides: { MIN_HISTORY: 120, ML_L2: 0.01 }, audit: [{ actor: 'alice' }] });
+    assert.equal(runtimeConfig.MIN_HISTORY, 120);
+    assert.equal(runtimeConfig.ML_L2, 0.01);
+    assert.equal(getConfigReport().audit.length, 1);
+
+    restoreConfig({ overrides: { MIN_HISTORY: 120, REMOVED_KEY: 1 } });
+    assert.equal(runtimeConfig.MIN_HISTORY, DEFAULTS.MIN_HISTORY);
+    assert.deepEqual(getConfigReport().overrides, {});
+});
+
+// --- Precedence ---
+
+test('values resolve as default < config file < environment < runtime', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'serox-config-'));
+    try {
+        const file = join(dir, 'config.json');
+        writeFileSync(file, JSON.stringify({ MIN_HISTORY: 120, MAX_HISTORY_LENGTH: 400 }));
+        const env = { SEROX_CONFIG_FILE: file, SEROX_MIN_HISTORY: '130' };
+
+        const loaded = loadInChild(env);
+        assert.equal(loaded.TARGET_ACCURACY, DEFAULTS.TARGET_ACCURACY);
+        assert.equal(loaded.MAX_HISTORY_LENGTH, 400);
+        assert.equal(loaded.MIN_HISTORY, 130);
+
+        assert.equal(loadInChild(env, { MIN_HISTORY: 140 }).MIN_HISTORY, 140);
+        assert.equal(loadInChild(env, { MIN_HISTORY: 140, MAX_HISTORY_LENGTH: 500 }).MAX_HISTORY_LENGTH, 500);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('an invalid config file or environment value stops the load', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'serox-config-'));
+    try {
+        const file = join(dir, 'config.json');
+        writeFileSync(file, JSON.stringify({ MIN_HISTORY: 5 }));
+
+        assert.throws(() => loadInChild({ SEROX_CONFIG_FILE: file }), error => /Invalid configuration: MIN_HISTORY must be between/.test(error.stderr));
+        assert.throws(() => loadInChild({ SEROX_CONFIG_FILE: join(dir, 'missing.json') }), error => /does not exist/.test(error.stderr));
+        assert.throws(() => loadInChild({ SEROX_TARGET_ACCURACY: 'high' }), error => /TARGET_ACCURACY must be a number/.test(error.stderr));
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
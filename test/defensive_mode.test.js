@@ -0,0 +1,119 @@
+// defensive_mode.test.js - Defensive State Machine Transitions
+// Drives the machine with settled ledger entries under the default configuration
+// (BAD_TREND_THRESHOLD 0.45, CAUTION_MARGIN 0.03, loss streaks 4/6, RECOVERY_WINDOW 10,
+// recovery entry/exit 0.5/0.55).
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getDefensiveState, isCooldownActive, recordDefensiveOutcome, restoreDefensiveState } from '../defensive_mode.js';
+import { resetSystemState } from '../state.js';
+
+let period = 0;
+
+// Served predictions, oldest first: 1 = Win, 0 = Loss
+function served(outcomes) {
+    for (const outcome of outcomes) {
+        recordDefensiveOutcome({ period: String(++period), status: outcome ? 'Win' : 'Loss', systemHealth: 'OK' });
+    }
+}
+
+// Paper-tracked COOLDOWN predictions, oldest first
+function paper(outcomes) {
+    for (const outcome of outcomes) {
+        recordDefensiveOutcome({ period: String(++period), status: 'Cooldown', paperStatus: outcome ? 'Win' : 'Loss', systemHealth: 'DEFENSIVE_MODE' });
+    }
+}
+
+function startIn(state) {
+    restoreDefensiveState({ state, enteredAt: null, enteredAtPeriod: null, liveOutcomes: [], paperOutcomes: [], transitions: [] });
+}
+
+beforeEach(() => {
+    resetSystemState();
+    restoreDefensiveState(null);
+});
+
+test('NORMAL turns CAUTION after CAUTION_LOSS_STREAK losses in a row', () => {
+    served([1, 0, 0, 0]);
+    assert.equal(getDefensiveState(), 'NORMAL');
+    served([0]);
+    assert.equal(getDefensiveState(), 'CAUTION');
+    assert.equal(isCooldownActive(), false);
+});
+
+test('NORMAL turns CAUTION when rolling accuracy falls below the caution threshold', () => {
+    // 7 wins in 15 (0.467 < 0.48) without ever losing 4 in a row
+    served([1, 0, 0, 1, 0, 1, 0, 1, 0, 0, 1, 0, 1, 1, 0]);
+    assert.equal(getDefensiveState(), 'CAUTION');
+});
+
+test('CAUTION turns DEFENSIVE after DEFENSIVE_LOSS_STREAK losses in a row', () => {
+    served([0, 0, 0, 0]);
+    assert.equal(getDefensiveState(), 'CAUTION');
+    served([0]);
+    assert.equal(getDefensiveState(), 'CAUTION');
+    served([0]);
+    assert.equal(getDefensiveState(), 'DEFENSIVE');
+    assert.equal(isCooldownActive(), true);
+});
+
+test('CAUTION returns to NORMAL on a win once rolling accuracy has recovered', () => {
+    served([0, 0, 0, 0]);
+    served([1, 1, 1, 1, 1]);
+    assert.equal(getDefensiveState(), 'NORMAL');
+});
+
+test('DEFENSIVE waits for enough paper results before RECOVERY', () => {
+    startIn('DEFENSIVE');
+    paper([1, 1, 1, 1, 1, 1, 1, 1, 1]);
+    assert.equal(getDefensiveState(), 'DEFENSIVE');
+    paper([1]);
+    assert.equal(getDefensiveState(), 'RECOVERY');
+});
+
+test('DEFENSIVE stays while paper accuracy is below RECOVERY_ENTRY_ACCURACY', () => {
+    startIn('DEFENSIVE');
+    paper([1, 0, 1, 0, 0, 1, 0, 1, 0, 0]); // 0.4
+    assert.equal(getDefensiveState(), 'DEFENSIVE');
+});
+
+test('RECOVERY returns to NORMAL at RECOVERY_EXIT_ACCURACY', () => {
+    startIn('RECOVERY');
+    paper([1, 0, 1, 0, 1, 1, 0, 1, 0, 1]); // 0.6
+    assert.equal(getDefensiveState(), 'NORMAL');
+    assert.equal(isCooldownActive(), false);
+});
+
+test('RECOVERY stays between the entry and exit accuracies', () => {
+    startIn('RECOVERY');
+    paper([1, 0, 1, 0, 1, 0, 1, 0, 1, 0]); // 0.5
+    assert.equal(getDefensiveState(), 'RECOVERY');
+    paper([1]); // Still 0.5 over the last ten
+    assert.equal(getDefensiveState(), 'RECOVERY');
+    paper([1]); // 0.6
+    assert.equal(getDefensiveState(), 'NORMAL');
+});
+
+test('RECOVERY falls back to DEFENSIVE below RECOVERY_ENTRY_ACCURACY', () => {
+    startIn('RECOVERY');
+    paper([1, 0, 1, 0, 1, 0, 1, 0, 0, 1]); // 0.5
+    assert.equal(getDefensiveState(), 'RECOVERY');
+    paper([0]); // 0.4
+    assert.equal(getDefensiveState(), 'DEFENSIVE');
+});
+
+test('RECOVERY falls back to DEFENSIVE after DEFENSIVE_LOSS_STREAK paper losses', () => {
+    startIn('RECOVERY');
+    paper([0, 0, 0, 0, 0]);
+    assert.equal(getDefensiveState(), 'RECOVERY');
+    paper([0]);
+    assert.equal(getDefensiveState(), 'DEFENSIVE');
+});
+
+test('warm-up coin flips are ignored', () => {
+    for (let i = 0; i < 10; i++) {
+        recordDefensiveOutcome({ period: String(++period), status: 'Loss', systemHealth: 'INSUFFICIENT_HISTORY' });
+    }
+    assert.equal(getDefensiveState(), 'NORMAL');
+});
@@ -0,0 +1,114 @@
+// history_import.test.js - Bulk History Import
+// Covers merging imported results into a history and replaying them through the cycle.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { importHistory } from '../history_import.js';
+import { createSession, processGameResult } from '../prediction_cycle.js';
+import { getOrCreateGame, withGameContext } from '../games.js';
+import { runtimeConfig } from '../config.js';
+
+// Consecutive results starting at period `first`
+function results(first, count) {
+    return Array.from({ length: count }, (_, i) => ({ issueNumber: String(first + i), number: (i * 7) % 10 }));
+}
+
+let gameCount = 0;
+
+function newGame() {
+    return getOrCreateGame(`import-test-${++gameCount}`);
+}
+
+test('imported results are merged newest first without issuing predictions', () => {
+    const session = createSession();
+    const summary = importHistory(session, results(1001, 20).reverse());
+
+    assert.deepEqual(summary, { received: 20, imported: 20, replayed: 0, duplicates: 0, discarded: 0, rejected: 0, historyLength: 20 });
+    assert.equal(session.history[0].period, '1020');
+    assert.equal(session.history[19].period, '1001');
+    assert.equal(session.history[0].status, 'Imported');
+    assert.equal(session.history[0].actualNumber, 3);
+    assert.equal(session.history[0].resultType, 'SMALL');
+    assert.equal(session.lastProcessedPeriod, '1020');
+    assert.equal(session.currentPrediction, null);
+    assert.equal(session.ledger.length, 0);
+});
+
+test('repeated, known and malformed records are counted rather than imported', () => {
+    const session = createSession();
+    importHistory(session, results(1001, 5));
+
+    const summary = importHistory(session, [
+        ...results(1004, 4), // 1004 and 1005 are already known
+        { issueNumber: '1007', number: 1 }, // Repeats 1007 within the request
+        { issueNumber: 'abc', number: 1 },
+        { issueNumber: '1010', number: 10 },
+        null
+    ]);
+
+    assert.equal(summary.received, 8);
+    assert.equal(summary.imported, 2);
+    assert.equal(summary.duplicates, 3);
+    assert.equal(summary.rejected, 3);
+    assert.equal(summary.historyLength, 7);
+    assert.equal(session.lastProcessedPeriod, '1007');
+});
+
+test('older results fill in behind the history without moving the last processed period', () => {
+    const session = createSession();
+    importHistory(session, results(1011, 10));
+
+    const summary = importHistory(session, results(1001, 10));
+    assert.equal(summary.imported, 10);
+    assert.equal(session.lastProcessedPeriod, '1020');
+    assert.deepEqual(session.history.map(e => e.period), results(1001, 20).map(r => r.issueNumber).reverse());
+});
+
+test('results beyond MAX_HISTORY_LENGTH are discarded oldest first', () => {
+    const limit = runtimeConfig.MAX_HISTORY_LENGTH;
+    const session = createSession();
+
+    const summary = importHistory(session, results(1001, limit + 5));
+    assert.equal(summary.imported, limit);
+    assert.equal(summary.discarded, 5);
+    assert.equal(session.history.length, limit);
+    assert.equal(session.history[limit - 1].period, '1006');
+});
+
+test('replay runs newer results through the prediction cycle', () => {
+    const game = newGame();
+    const summary = withGameContext(game, session => importHistory(session, results(1001, 30), { replay: true }));
+
+    assert.equal(summary.imported, 0);
+    assert.equal(summary.replayed, 30);
+    assert.equal(game.session.lastProcessedPeriod, '1030');
+    assert.equal(game.session.currentPrediction.period, '1031');
+    assert.equal(game.session.ledger.length, 30);
+    assert.equal(game.session.ledger.filter(e => e.status === 'Pending').length, 1);
+    assert.ok(game.session.history.every(e => e.status !== 'Imported'));
+});
+
+test('each replayed cycle is passed to onCycle', () => {
+    const game = newGame();
+    const cycles = [];
+    withGameContext(game, session => importHistory(session, results(1001, 12), { replay: true, onCycle: cycle => cycles.push(cycle) }));
+
+    assert.equal(cycles.length, 12);
+    assert.equal(cycles[0].settledPrediction, null);
+    assert.equal(cycles[11].settledPrediction.period, '1012');
+    assert.equal(cycles[11].currentPrediction, game.session.currentPrediction);
+});
+
+test('replay merges results older than the last processed period instead of replaying them', () => {
+    const game = newGame();
+    withGameContext(game, session => processGameResult(session, { issueNumber: '1011', number: 4 }));
+
+    const summary = withGameContext(game, session => importHistory(session, results(1001, 15), { replay: true }));
+    assert.equal(summary.imported, 10);
+    assert.equal(summary.replayed, 4);
+    assert.equal(summary.duplicates, 1);
+    assert.equal(game.session.lastProcessedPeriod, '1015');
+    assert.equal(game.session.history.find(e => e.period === '1005').status, 'Imported');
+    assert.equal(game.session.currentPrediction.period, '1016');
+});
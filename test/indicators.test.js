@@ -0,0 +1,134 @@
+// indicators.test.js - Streaming vs Batch Indicator Equivalence
+// The session's streaming engine must read what the batch functions (and a fresh engine
+// replayed from the history) read for the same history window, up to floating-point rounding.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    buildIndicatorEngine,
+    calculateEMA,
+    calculateRSI,
+    calculateSMA,
+    calculateStdDev,
+    createIndicatorEngine
+} from '../utils.js';
+import { computeFeatures } from '../features.js';
+import { createSession, processGameResult } from '../prediction_cycle.js';
+import { runtimeConfig } from '../config.js';
+import { seedRandom } from '../random.js';
+
+const WINDOW = 150;
+
+// Deterministic digits 0-9 (a small LCG, independent of the app's PRNG)
+function digits(count, seed = 7) {
+    let state = seed;
+    return Array.from({ length: count }, () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state % 10;
+    });
+}
+
+// Deep equality with numbers compared to a relative tolerance
+function assertClose(actual, expected, path = 'value') {
+    if (typeof expected === 'number' && typeof actual === 'number') {
+        const tolerance = 1e-9 * Math.max(1, Math.abs(expected));
+        assert.ok(Math.abs(actual - expected) <= tolerance, `${path}: ${actual} is not ${expected}`);
+    } else if (expected !== null && typeof expected === 'object') {
+        assert.equal(typeof actual, 'object', `${path} is not an object`);
+        assert.deepEqual(Object.keys(actual ?? {}).sort(), Object.keys(expected).sort(), `${path} keys differ`);
+        for (const key of Object.keys(expected)) assertClose(actual[key], expected[key], `${path}.${key}`);
+    } else {
+        assert.equal(actual, expected, path);
+    }
+}
+
+// The MACD formula the primary model used before indicators were streamed: the signal is an
+// EMA over the MACD line recomputed for every suffix of the series.
+function batchMACD(numbers) {
+    const line = series => calculateEMA(series, 12) - calculateEMA(series, 26);
+    return [line(numbers), calculateEMA(numbers.map((_, i) => line(numbers.slice(i))).filter(n => n !== null), 9)];
+}
+
+// The stochastic %K the advisory model used before indicators were streamed
+function batchStochastic(numbers, period = 14) {
+    const recent = numbers.slice(0, period);
+    if (recent.length < period) return null;
+    const lowestLow = Math.min(...recent);
+    const highestHigh = Math.max(...recent);
+    if (highestHigh === lowestLow) return null;
+    return 100 * ((recent[0] - lowestLow) / (highestHigh - lowestLow));
+}
+
+function readings(engine) {
+    return {
+        count: engine.count,
+        latest: engine.latest,
+        rsi: engine.rsi,
+        rsiHistory: engine.rsiHistory,
+        ema: engine.ema,
+        macd: [engine.macd.line, engine.macd.signal],
+        bollinger: [engine.bollinger.middle, engine.bollinger.stdDev, engine.bollinger.upper, engine.bollinger.lower],
+        stdDevHistory: engine.stdDevHistory,
+        stochastic: engine.stochastic.value
+    };
+}
+
+for (const windowSize of [20, 40, WINDOW]) {
+    test(`a ${windowSize}-value windowed engine matches the batch functions over its window`, () => {
+        const engine = createIndicatorEngine({}, { windowSize });
+        const window = []; // Newest first
+
+        for (const value of digits(400)) {
+            engine.push(value);
+            window.unshift(value);
+            if (window.length > windowSize) window.pop();
+
+            assert.equal(engine.count, window.length);
+            assertClose(engine.rsi, calculateRSI(window, 14), 'rsi');
+            for (const period of [5, 10, 20]) assertClose(engine.ema[period], calculateEMA(window, period), `ema ${period}`);
+            assertClose(engine.bollinger.middle, calculateSMA(window, 20), 'middle');
+            assertClose(engine.bollinger.stdDev, calculateStdDev(window, 20), 'stdDev');
+            assertClose([engine.macd.line, engine.macd.signal], batchMACD(window), 'macd');
+            assertClose(engine.stochastic.value, batchStochastic(window), 'stochastic');
+
+            const rsiHistory = window.slice(0, 9).map((_, i) => calculateRSI(window.slice(i), 14)).filter(r => r !== null);
+            assertClose(engine.rsiHistory, rsiHistory, 'rsiHistory');
+            const stdDevHistory = window.slice(0, 21).map((_, i) => calculateStdDev(window.slice(i), 20));
+            assertClose(engine.stdDevHistory, stdDevHistory, 'stdDevHistory');
+        }
+    });
+}
+
+test('a windowed engine matches a fresh engine replayed from its window', () => {
+    const engine = createIndicatorEngine({}, { windowSize: WINDOW });
+    const window = [];
+
+    for (const value of digits(400, 11)) {
+        engine.push(value);
+        window.unshift(value);
+        if (window.length > WINDOW) window.pop();
+    }
+    assertClose(readings(engine), readings(buildIndicatorEngine(window)));
+});
+
+test('the session engine reads the history like a batch rebuild, also after a late result', () => {
+    seedRandom(1);
+    const session = createSession();
+    const values = digits(400, 3);
+    const firstPeriod = 20260101000n;
+
+    values.forEach((number, i) => {
+        if (i === 350) return; // Held back and delivered late below
+        processGameResult(session, { issueNumber: String(firstPeriod + BigInt(i)), number });
+    });
+    assert.equal(session.history.length, runtimeConfig.MAX_HISTORY_LENGTH);
+    assertClose(computeFeatures(session.history, session.indicators), computeFeatures(session.history));
+
+    processGameResult(session, { issueNumber: String(firstPeriod + 350n), number: values[350] });
+    processGameResult(session, { issueNumber: String(firstPeriod + 400n), number: 4 });
+    assertClose(computeFeatures(session.history, session.indicators), computeFeatures(session.history));
+
+    const numbers = session.history.map(entry => entry.actualNumber);
+    assertClose(readings(session.indicators), readings(buildIndicatorEngine(numbers)));
+});
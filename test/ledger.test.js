@@ -0,0 +1,126 @@
+// ledger.test.js - Prediction Ledger Settlement
+// Covers recording, settlement statuses, gap handling and the labelled-sample bookkeeping.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MAX_LEDGER_LENGTH, findPrediction, getLedgerStats, markUnsettled, recordPrediction, settlePrediction } from '../ledger.js';
+import { restoreModelState } from '../games.js';
+import { learnerStats } from '../state.js';
+
+function record(ledger, period, prediction, aiDecision = {}) {
+    return recordPrediction(ledger, {
+        period,
+        prediction,
+        confidence: 60,
+        confidenceLevel: 2,
+        source: 'test',
+        systemHealth: 'OK',
+        timestamp: 0
+    }, aiDecision);
+}
+
+beforeEach(() => {
+    restoreModelState(null);
+});
+
+test('a recorded prediction starts Pending with the decision inputs attached', () => {
+    const ledger = [];
+    const entry = record(ledger, '1001', 'BIG', { rawConfidence: 0.7, calibrated: true, finalConfidence: 0.58, mlFeatures: { a: 1 } });
+
+    assert.equal(ledger[0], entry);
+    assert.equal(entry.status, 'Pending');
+    assert.equal(entry.rawConfidence, 0.7);
+    assert.equal(entry.winProbability, 0.58);
+    assert.deepEqual(entry.mlFeatures, { a: 1 });
+    assert.deepEqual(entry.advisorySignals, []);
+    assert.equal(entry.actualNumber, null);
+
+    const uncalibrated = record(ledger, '1002', 'SMALL', { rawConfidence: NaN, finalConfidence: 0.6 });
+    assert.equal(uncalibrated.rawConfidence, null);
+    assert.equal(uncalibrated.winProbability, null);
+});
+
+test('the ledger keeps the newest MAX_LEDGER_LENGTH entries', () => {
+    const ledger = [];
+    for (let i = 0; i <= MAX_LEDGER_LENGTH; i++) {
+        record(ledger, String(1000 + i), 'BIG');
+    }
+    assert.equal(ledger.length, MAX_LEDGER_LENGTH);
+    assert.equal(ledger[0].period, String(1000 + MAX_LEDGER_LENGTH));
+    assert.equal(findPrediction(ledger, '1000'), null);
+});
+
+test('settlement marks a Win or Loss against the actual result', () => {
+    const ledger = [];
+    record(ledger, '1001', 'BIG');
+    record(ledger, '1002', 'BIG');
+
+    const win = settlePrediction(ledger, '1001', 7);
+    assert.equal(win.status, 'Win');
+    assert.equal(win.actualNumber, 7);
+    assert.equal(win.resultType, 'BIG');
+    assert.equal(typeof win.settledAt, 'number');
+
+    const loss = settlePrediction(ledger, '1002', 2);
+    assert.equal(loss.status, 'Loss');
+    assert.equal(loss.resultType, 'SMALL');
+});
+
+test('a withheld prediction settles as Cooldown and grades its paper call', () => {
+    const ledger = [];
+    record(ledger, '1001', 'COOLDOWN', { paperPrediction: 'SMALL' });
+    record(ledger, '1002', 'DEFENSIVE_MODE', { paperPrediction: 'SMALL' });
+    record(ledger, '1003', 'COOLDOWN');
+
+    assert.deepEqual(pick(settlePrediction(ledger, '1001', 3)), { status: 'Cooldown', paperStatus: 'Win' });
+    assert.deepEqual(pick(settlePrediction(ledger, '1002', 8)), { status: 'Cooldown', paperStatus: 'Loss' });
+    assert.deepEqual(pick(settlePrediction(ledger, '1003', 8)), { status: 'Cooldown', paperStatus: null });
+
+    function pick({ status, paperStatus }) {
+        return { status, paperStatus };
+    }
+});
+
+test('a prediction settles only once and unknown periods settle nothing', () => {
+    const ledger = [];
+    record(ledger, '1001', 'BIG');
+
+    assert.notEqual(settlePrediction(ledger, '1001', 7), null);
+    assert.equal(settlePrediction(ledger, '1001', 2), null);
+    assert.equal(findPrediction(ledger, '1001').actualNumber, 7);
+    assert.equal(settlePrediction(ledger, '1005', 2), null);
+});
+
+test('markUnsettled closes out older pending predictions, which a late result may still settle', () => {
+    const ledger = [];
+    record(ledger, '1001', 'BIG');
+    record(ledger, '1002', 'SMALL');
+    record(ledger, '1003', 'BIG');
+    settlePrediction(ledger, '1001', 9);
+
+    const skipped = markUnsettled(ledger, '1003');
+    assert.deepEqual(skipped.map(e => e.period), ['1002']);
+    assert.equal(findPrediction(ledger, '1001').status, 'Win');
+    assert.equal(findPrediction(ledger, '1003').status, 'Pending');
+    assert.deepEqual(getLedgerStats(ledger), { entries: 3, pending: 1, unsettled: 1, settled: 1, labelledSamples: 0 });
+
+    const late = settlePrediction(ledger, '1002', 1);
+    assert.equal(late.status, 'Win');
+    assert.equal(getLedgerStats(ledger).unsettled, 0);
+});
+
+test('settled predictions with a feature vector count as labelled samples', () => {
+    const ledger = [];
+    record(ledger, '1001', 'BIG', { mlFeatures: { a: 1 } });
+    record(ledger, '1002', 'COOLDOWN', { mlFeatures: { a: 1 } });
+    record(ledger, '1003', 'BIG');
+    const seen = learnerStats.labelledSamplesSeen;
+
+    settlePrediction(ledger, '1001', 2);
+    settlePrediction(ledger, '1002', 2);
+    settlePrediction(ledger, '1003', 2);
+
+    assert.equal(learnerStats.labelledSamplesSeen, seen + 2);
+    assert.equal(getLedgerStats(ledger).labelledSamples, 2);
+});
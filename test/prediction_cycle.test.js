@@ -0,0 +1,127 @@
+// prediction_cycle.test.js - Result Ordering Anomalies
+// Covers the in-order path and the DUPLICATE, STALE and GAP branches of processGameResult.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSession, processGameResult } from '../prediction_cycle.js';
+import { findPrediction } from '../ledger.js';
+import { restoreModelState } from '../games.js';
+import { seedRandom } from '../random.js';
+
+function result(issueNumber, number) {
+    return { issueNumber, number };
+}
+
+function periods(session) {
+    return session.history.map(e => e.period);
+}
+
+beforeEach(() => {
+    restoreModelState(null);
+    seedRandom(1);
+});
+
+test('an in-order result is recorded and predicts the next period', () => {
+    const session = createSession();
+    const cycle = processGameResult(session, result('1001', 7));
+
+    assert.equal(cycle.duplicate, false);
+    assert.equal(cycle.late, false);
+    assert.equal(cycle.anomaly, null);
+    assert.equal(cycle.historyEntry.resultType, 'BIG');
+    assert.equal(cycle.currentPrediction.period, '1002');
+    assert.equal(session.lastProcessedPeriod, '1001');
+    assert.equal(findPrediction(session.ledger, '1002').status, 'Pending');
+
+    const next = processGameResult(session, result('1002', 2));
+    assert.equal(next.settledPrediction.period, '1002');
+    assert.equal(next.settledPrediction.actualNumber, 2);
+    assert.deepEqual(periods(session), ['1002', '1001']);
+});
+
+test('a repeated period is reported as DUPLICATE and changes nothing', () => {
+    const session = createSession();
+    processGameResult(session, result('1001', 7));
+    processGameResult(session, result('1002', 2));
+    const prediction = session.currentPrediction;
+
+    const repeat = processGameResult(session, result('1002', 2));
+    assert.equal(repeat.duplicate, true);
+    assert.deepEqual(repeat.anomaly, { type: 'DUPLICATE', period: '1002', conflictingResult: false });
+    assert.equal(repeat.currentPrediction, prediction);
+
+    const conflicting = processGameResult(session, result('1001', 3));
+    assert.equal(conflicting.duplicate, true);
+    assert.equal(conflicting.anomaly.conflictingResult, true);
+
+    assert.deepEqual(periods(session), ['1002', '1001']);
+    assert.equal(session.history[1].actualNumber, 7);
+    assert.equal(session.currentPrediction, prediction);
+});
+
+test('a skipped period is reported as GAP and its prediction marked Unsettled', () => {
+    const session = createSession();
+    processGameResult(session, result('1001', 7));
+
+    const cycle = processGameResult(session, result('1004', 1));
+    assert.equal(cycle.late, false);
+    assert.deepEqual(cycle.anomaly, {
+        type: 'GAP',
+        period: '1004',
+        lastProcessedPeriod: '1001',
+        missingCount: 2,
+        missingPeriods: ['1002', '1003'],
+        unsettledPredictions: ['1002']
+    });
+    assert.equal(findPrediction(session.ledger, '1002').status, 'Unsettled');
+    assert.equal(cycle.currentPrediction.period, '1005');
+});
+
+test('the reported missing periods are capped but the count is not', () => {
+    const session = createSession();
+    processGameResult(session, result('1001', 7));
+
+    const cycle = processGameResult(session, result('1101', 1));
+    assert.equal(cycle.anomaly.missingCount, 99);
+    assert.equal(cycle.anomaly.missingPeriods.length, 20);
+    assert.equal(cycle.anomaly.missingPeriods[19], '1021');
+});
+
+test('a late result is reported as STALE, slotted into place and settles its prediction', () => {
+    const session = createSession();
+    processGameResult(session, result('1001', 7));
+    processGameResult(session, result('1003', 1)); // Leaves 1002 Unsettled
+    const prediction = session.currentPrediction;
+
+    const cycle = processGameResult(session, result('1002', 8));
+    assert.equal(cycle.duplicate, false);
+    assert.equal(cycle.late, true);
+    assert.deepEqual(cycle.anomaly, {
+        type: 'STALE',
+        period: '1002',
+        lastProcessedPeriod: '1003',
+        settledPrediction: true,
+        retained: true
+    });
+    assert.equal(cycle.aiDecision, null);
+    assert.equal(cycle.currentPrediction, prediction);
+    assert.equal(cycle.settledPrediction.period, '1002');
+    assert.notEqual(findPrediction(session.ledger, '1002').status, 'Unsettled');
+
+    assert.deepEqual(periods(session), ['1003', '1002', '1001']);
+    assert.equal(session.lastProcessedPeriod, '1003');
+    assert.equal(session.indicators, null);
+});
+
+test('a late result without an open prediction settles nothing', () => {
+    const session = createSession();
+    processGameResult(session, result('1002', 7));
+    processGameResult(session, result('1003', 1));
+
+    const cycle = processGameResult(session, result('1001', 4));
+    assert.equal(cycle.late, true);
+    assert.equal(cycle.anomaly.settledPrediction, false);
+    assert.equal(cycle.settledPrediction, null);
+    assert.deepEqual(periods(session), ['1003', '1002', '1001']);
+});
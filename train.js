@@ -0,0 +1,110 @@
+// train.js - Offline Training for the Primary Model
+// Fits the logistic-regression coefficients on a recorded result history: every period
+// with enough history before it becomes one example, labelled by the result that followed.
+// The output is a serialised model that POST /model (or backtest --model=) can load.
+//
+// Usage: npm run train -- <results.json|results.csv> [--out=<model.json>] [--epochs=<n>]
+//        [--learning-rate=<rate>] [--l2=<lambda>] [--from-defaults]
+
+import { writeFile } from 'fs/promises';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+import { loadRecords } from './backtest.js';
+import { computeFeatures, getDefaultFeatureWeights } from './features.js';
+import { serialiseModel, trainLogisticModel } from './logistic_model.js';
+import { runtimeConfig } from './config.js';
+import { createIndicatorEngine, getBigSmallFromNumber, normaliseResultRecords } from './utils.js';
+
+// --- Sample Building ---
+
+// Walks the records oldest-first with the same history window and indicator engine the
+// live cycle keeps.
+export function buildTrainingSamples(records) {
+    const samples = [];
+    const history = []; // Newest first, like session.history
+    const indicators = createIndicatorEngine({}, { windowSize: runtimeConfig.MAX_HISTORY_LENGTH });
+
+    for (const record of normaliseResultRecords(records).valid) {
+        if (history.length >= runtimeConfig.MIN_HISTORY) {
+            samples.push({
+                period: record.issueNumber,
+                features: computeFeatures(history, indicators),
+                label: getBigSmallFromNumber(record.number) === 'BIG' ? 1 : 0
+            });
+        }
+        history.unshift({ actualNumber: record.number });
+        indicators.push(record.number);
+        if (history.length > runtimeConfig.MAX_HISTORY_LENGTH) history.pop();
+    }
+    return samples;
+}
+
+// Starts from zero weights unless `fromDefaults` asks for the features.js defaults.
+export function trainFromRecords(records, { fromDefaults = false, ...options } = {}) {
+    const defaults = getDefaultFeatureWeights();
+    const initial = {
+        bias: 0,
+        weights: fromDefaults ? defaults : Object.fromEntries(Object.keys(defaults).map(name => [name, 0]))
+    };
+
+    const samples = buildTrainingSamples(records);
+    const result = trainLogisticModel(samples, initial, {
+        learningRate: runtimeConfig.ML_LEARNING_RATE,
+        l2: runtimeConfig.ML_L2,
+        ...options
+    });
+    return { ...result, samples: samples.length };
+}
+
+// --- Command Line Entry Point ---
+
+function numberArg(args, name) {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    if (!arg) return undefined;
+    const value = Number(arg.slice(name.length + 3));
+    if (!Number.isFinite(value) || value < 0) throw new Error(`--${name} must be a non-negative number.`);
+    return value;
+}
+
+async function main(args) {
+    const filePath = args.find(arg => !arg.startsWith('--'));
+    if (!filePath) {
+        console.error("Usage: npm run train -- <results.json|results.csv> [--out=<model.json>] [--epochs=<n>] [--learning-rate=<rate>] [--l2=<lambda>] [--from-defaults]");
+        process.exitCode = 1;
+        return;
+    }
+
+    const options = { fromDefaults: args.includes('--from-defaults') };
+    for (const [name, key] of [['epochs', 'epochs'], ['learning-rate', 'learningRate'], ['l2', 'l2']]) {
+        const value = numberArg(args, name);
+        if (value !== undefined) options[key] = value;
+    }
+
+    const { coefficients, epochLosses, trainingAccuracy, samples } = trainFromRecords(await loadRecords(resolve(filePath)), options);
+    if (samples === 0) {
+        console.error(`Not enough results to train: need more than ${runtimeConfig.MIN_HISTORY}.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const model = serialiseModel(coefficients, { trainedAt: Date.now(), trainedOn: samples });
+    const outArg = args.find(arg => arg.startsWith('--out='));
+    if (outArg) {
+        await writeFile(resolve(outArg.slice('--out='.length)), JSON.stringify(model, null, 2));
+    } else {
+        console.log(JSON.stringify(model, null, 2));
+    }
+
+    console.error('--- Training Summary ---');
+    console.error(`Training examples:       ${samples}`);
+    console.error(`Log loss per epoch:      ${epochLosses.map(loss => loss.toFixed(4)).join(' -> ')}`);
+    console.error(`Training accuracy:       ${(trainingAccuracy * 100).toFixed(2)}%`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error("Training failed:", error.message);
+        process.exitCode = 1;
+    });
+}
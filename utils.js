@@ -9,6 +9,52 @@ export function getBigSmallFromNumber(number) {
     return num >= 0 && num <= 4 ? 'SMALL' : num >= 5 && num <= 9 ? 'BIG' : null;
 }
 
+// Compares two period/issue numbers numerically (they exceed Number precision).
+export function comparePeriods(a, b) {
+    const x = BigInt(a), y = BigInt(b);
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// ISO 8601 strings and epoch milliseconds (as a number or a string of digits); NaN otherwise.
+export function parseTimestamp(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+    if (typeof value !== 'string') return NaN;
+    return /^\d{1,15}$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// When a result was drawn: the record's own `timestamp` if it carries a usable one, else now.
+export function getResultTimestamp(record) {
+    const timestamp = record?.timestamp === undefined || record.timestamp === null ? NaN : parseTimestamp(record.timestamp);
+    return Number.isFinite(timestamp) ? timestamp : Date.now();
+}
+
+// Validates raw { issueNumber, number, timestamp? } records, drops duplicate issue numbers
+// and returns them oldest-first.
+export function normaliseResultRecords(records) {
+    const valid = [];
+    const rejected = [];
+    const seen = new Set();
+    let duplicates = 0;
+
+    for (const record of Array.isArray(records) ? records : []) {
+        const issueNumber = record && record.issueNumber !== undefined && record.issueNumber !== null ? String(record.issueNumber).trim() : '';
+        const number = record && record.number !== '' && record.number !== null ? Number(record.number) : NaN;
+        if (!/^\d+$/.test(issueNumber) || !Number.isInteger(number) || number < 0 || number > 9) {
+            rejected.push(record);
+            continue;
+        }
+        if (seen.has(issueNumber)) {
+            duplicates++;
+            continue;
+        }
+        seen.add(issueNumber);
+        valid.push(record.timestamp === undefined ? { issueNumber, number } : { issueNumber, number, timestamp: record.timestamp });
+    }
+
+    valid.sort((a, b) => comparePeriods(a.issueNumber, b.issueNumber));
+    return { valid, rejected, duplicates };
+}
+
 // --- Mathematical Indicators ---
 
 export function calculateSMA(data, period) {
@@ -82,3 +128,292 @@ export function calculateRSI(data, period) {
     const rs = avgGain / avgLoss;
     return 100 - (100 / (1 + rs));
 }
+
+// --- Streaming Building Blocks ---
+// The indicator engine below pushes results oldest-first and keeps only sliding-window state,
+// so a push costs the same however long the window is.
+
+// Values by absolute position (0 = the first value pushed), keeping at least the last `capacity`.
+function createSeries(capacity, firstPosition = 0) {
+    let values = [];
+    let first = firstPosition; // Position of values[0]
+    return {
+        push(value) {
+            values.push(value);
+            if (values.length > capacity * 2) {
+                first += values.length - capacity;
+                values = values.slice(values.length - capacity);
+            }
+        },
+        at: position => values[position - first]
+    };
+}
+
+// An exponential average over the inputs from a movable `start` on, seeded like calculateEMA
+// and calculateRSI with the plain average of its first `period` inputs. With R(t) the unseeded
+// carry of every input so far (R(t) = (1 - alpha) R(t-1) + alpha x(t)) and c the last seed
+// position, the seeded value at t >= c is R(t) + (1 - alpha)^(t-c) (seed average - R(c)):
+// inputs before the seed cancel out, so moving the start only updates the seed sum.
+function createSeededAverage(period, alpha, capacity, firstPosition = 0) {
+    const decay = 1 - alpha;
+    const inputs = createSeries(capacity, firstPosition);
+    const carries = createSeries(capacity, firstPosition);
+    let last = firstPosition - 1; // Position of the newest input
+    let carry = 0;
+    let start = firstPosition;
+    let seedCount = 0;
+    let seedSum = 0;
+
+    function fillSeed() {
+        while (seedCount < period && start + seedCount <= last) {
+            seedSum += inputs.at(start + seedCount++);
+        }
+    }
+
+    return {
+        alpha,
+        decay,
+        push(value) {
+            last++;
+            inputs.push(value);
+            carry = decay * carry + alpha * value;
+            carries.push(carry);
+            fillSeed();
+        },
+        moveStart(position) {
+            for (; start < position; start++) {
+                if (seedCount > 0) {
+                    seedSum -= inputs.at(start);
+                    seedCount--;
+                }
+            }
+            fillSeed();
+        },
+        carryAt: position => carries.at(position),
+        // Position of the last seed input, null while the seed is incomplete
+        seedEnd: () => seedCount === period ? start + period - 1 : null,
+        seedAverage: () => seedSum / period,
+        valueAt(position) {
+            const seedEnd = this.seedEnd();
+            if (seedEnd === null || position < seedEnd) return null;
+            if (position === seedEnd) return seedSum / period;
+            return carries.at(position) + decay ** (position - seedEnd) * (seedSum / period - carries.at(seedEnd));
+        }
+    };
+}
+
+// --- Indicator Engine ---
+// The indicator set the primary and advisory models read, maintained as results arrive.
+// Each game session keeps one (see prediction_cycle.js); anything that only has a history
+// array builds one with buildIndicatorEngine.
+// With a `windowSize` the engine only ever reflects the last `windowSize` values, so a session
+// engine sized like the history reads what the batch functions return for that history (up
+// to floating-point rounding). Bands keep running sums, the stochastic keeps monotonic deques
+// of positions, and EMA, RSI and MACD are seeded averages (see createSeededAverage).
+
+export const DEFAULT_INDICATOR_PERIODS = {
+    rsi: 14,
+    rsiAverage: 9, // RSI readings kept for its moving average
+    stochastic: 14,
+    band: 20, // Bollinger bands, and the standard deviation behind volatility features
+    macdFast: 12,
+    macdSlow: 26,
+    macdSignal: 9
+};
+
+const TREND_EMA_PERIODS = [5, 10, 20];
+const BOLLINGER_MULTIPLIER = 2.0;
+
+// sum over t = 0..n-1 of a^(n-1-t) b^t
+function geometricBlend(a, b, n) {
+    return a === b ? n * a ** (n - 1) : (a ** n - b ** n) / (a - b);
+}
+
+export function createIndicatorEngine(periods = {}, { windowSize = Infinity } = {}) {
+    const resolved = { ...DEFAULT_INDICATOR_PERIODS, ...periods };
+    const capacity = windowSize + Math.max(...Object.values(resolved)) + 1;
+    const values = createSeries(capacity);
+    const stdDevs = createSeries(capacity); // Band standard deviation after each value
+    const emas = TREND_EMA_PERIODS.map(period => [period, createSeededAverage(period, 2 / (period + 1), capacity)]);
+    const gains = createSeededAverage(resolved.rsi, 1 / resolved.rsi, capacity, 1); // Wilder smoothing of the changes
+    const losses = createSeededAverage(resolved.rsi, 1 / resolved.rsi, capacity, 1);
+    const macdParts = [resolved.macdFast, resolved.macdSlow].map(period => ({
+        average: createSeededAverage(period, 2 / (period + 1), capacity),
+        signalCarries: createSeries(capacity), // Signal-period EMA of the part's unseeded carries
+        signalCarry: 0
+    }));
+    const signalAlpha = 2 / (resolved.macdSignal + 1);
+    const lows = []; // Stochastic window positions with rising values
+    const highs = []; // ... and with falling values
+    let position = -1; // Of the newest value
+    let start = 0; // Of the oldest value inside the window
+    let bandSum = 0;
+    let bandSumOfSquares = 0;
+
+    const engine = {
+        periods: resolved,
+        windowSize,
+        count: 0, // Values the readings cover
+        latest: null,
+        rsi: null,
+        rsiHistory: [], // Recent RSI readings, newest first
+        ema: Object.fromEntries(TREND_EMA_PERIODS.map(period => [period, null])), // Trend EMAs by period
+        macd: { line: null, signal: null },
+        bollinger: { middle: null, stdDev: null, upper: null, lower: null },
+        stdDevHistory: [], // Band standard deviation after each of the last band + 1 results, newest first
+        stochastic: { value: null, ratio: null }, // ratio is %K / 100
+        push(value) {
+            position++;
+            values.push(value);
+            start = Math.max(0, position + 1 - windowSize);
+            this.count = position - start + 1;
+            this.latest = value;
+
+            for (const [period, ema] of emas) {
+                ema.push(value);
+                ema.moveStart(start);
+                this.ema[period] = ema.valueAt(position);
+            }
+            updateRSI(value);
+            updateMACD(value);
+            updateBands(value);
+            updateStochastic(value);
+            return this;
+        }
+    };
+
+    function rsiAt(at) {
+        const avgGain = gains.valueAt(at);
+        if (avgGain === null) return null;
+        const avgLoss = Math.max(0, losses.valueAt(at)); // Rounding can leave a cancelled sum a hair below 0
+        return avgLoss === 0 ? 100 : 100 - (100 / (1 + Math.max(0, avgGain) / avgLoss));
+    }
+
+    function updateRSI(value) {
+        if (position > 0) {
+            const change = value - values.at(position - 1);
+            gains.push(change > 0 ? change : 0);
+            losses.push(change < 0 ? -change : 0);
+        }
+        gains.moveStart(start + 1); // Changes begin with the second value
+        losses.moveStart(start + 1);
+
+        engine.rsi = rsiAt(position);
+        engine.rsiHistory = [];
+        for (let at = position; at > position - resolved.rsiAverage; at--) {
+            const reading = rsiAt(at);
+            if (reading === null) break;
+            engine.rsiHistory.push(reading);
+        }
+    }
+
+    // Like the batch formula, a part that is still seeding counts as 0.
+    function macdLineAt(at) {
+        const [fast, slow] = macdParts.map(part => part.average.valueAt(at) ?? 0);
+        return fast - slow;
+    }
+
+    // The signal is calculateEMA over the MACD line as computed from the window start at every
+    // position, so moving the start moves the whole line. Per part, the tail of that EMA splits
+    // into the part's signal carries and a geometric sum over its seed correction.
+    function macdSignal() {
+        const period = resolved.macdSignal;
+        if (engine.count < period) return null;
+        const decay = 1 - signalAlpha;
+        const seedEnd = start + period - 1;
+
+        let seedSum = 0;
+        for (let at = start; at <= seedEnd; at++) seedSum += macdLineAt(at);
+        let signal = decay ** (position - seedEnd) * (seedSum / period);
+
+        macdParts.forEach(({ average, signalCarries }, index) => {
+            const partSeedEnd = average.seedEnd();
+            if (partSeedEnd === null) return;
+            const from = Math.max(seedEnd + 1, partSeedEnd);
+            const terms = position - from + 1;
+            if (terms <= 0) return;
+            const correction = average.seedAverage() - average.carryAt(partSeedEnd);
+            const tail = signalCarries.at(position) - decay ** terms * signalCarries.at(from - 1)
+                + signalAlpha * correction * average.decay ** (from - partSeedEnd) * geometricBlend(decay, average.decay, terms);
+            signal += index === 0 ? tail : -tail;
+        });
+        return signal;
+    }
+
+    function updateMACD(value) {
+        for (const part of macdParts) {
+            part.average.push(value);
+            part.average.moveStart(start);
+            part.signalCarry = (1 - signalAlpha) * part.signalCarry + signalAlpha * part.average.carryAt(position);
+            part.signalCarries.push(part.signalCarry);
+        }
+        engine.macd.line = macdLineAt(position);
+        engine.macd.signal = macdSignal();
+    }
+
+    function updateBands(value) {
+        const period = resolved.band;
+        bandSum += value;
+        bandSumOfSquares += value * value;
+        if (position >= period) {
+            const dropped = values.at(position - period);
+            bandSum -= dropped;
+            bandSumOfSquares -= dropped * dropped;
+        }
+
+        let stdDev = null;
+        if (position >= period - 1 && period >= 2) {
+            const variance = (bandSumOfSquares - bandSum * bandSum / period) / (period - 1); // Sample StDev
+            stdDev = Math.sqrt(Math.max(0, variance));
+        }
+        stdDevs.push(stdDev);
+
+        const ready = engine.count >= period;
+        const middle = ready ? bandSum / period : null;
+        const bandStdDev = ready ? stdDev : null;
+        Object.assign(engine.bollinger, {
+            middle,
+            stdDev: bandStdDev,
+            upper: bandStdDev !== null ? middle + (bandStdDev * BOLLINGER_MULTIPLIER) : null,
+            lower: bandStdDev !== null ? middle - (bandStdDev * BOLLINGER_MULTIPLIER) : null
+        });
+
+        // A reading counts only if its whole band lies inside the window
+        engine.stdDevHistory = [];
+        for (let at = position; at >= start && at > position - period - 1; at--) {
+            engine.stdDevHistory.push(at - start + 1 >= period ? stdDevs.at(at) : null);
+        }
+    }
+
+    // %K: where the latest value sits in the range of the last `period` values; null until the
+    // window holds that many or while the range is flat.
+    function updateStochastic(value) {
+        const period = resolved.stochastic;
+        while (lows.length > 0 && values.at(lows[lows.length - 1]) >= value) lows.pop();
+        while (highs.length > 0 && values.at(highs[highs.length - 1]) <= value) highs.pop();
+        lows.push(position);
+        highs.push(position);
+        while (lows[0] <= position - period) lows.shift();
+        while (highs[0] <= position - period) highs.shift();
+
+        engine.stochastic.ratio = null;
+        engine.stochastic.value = null;
+        if (engine.count >= period) {
+            const lowestLow = values.at(lows[0]);
+            const highestHigh = values.at(highs[0]);
+            if (highestHigh !== lowestLow) {
+                engine.stochastic.ratio = (value - lowestLow) / (highestHigh - lowestLow);
+                engine.stochastic.value = 100 * engine.stochastic.ratio;
+            }
+        }
+    }
+
+    return engine;
+}
+
+// Replays a newest-first series (like session history numbers) oldest-first into a new engine.
+export function buildIndicatorEngine(numbers, periods = {}, options = {}) {
+    const engine = createIndicatorEngine(periods, options);
+    for (let i = numbers.length - 1; i >= 0; i--) engine.push(numbers[i]);
+    return engine;
+}
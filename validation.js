@@ -0,0 +1,305 @@
+// validation.js - Request Validation & Error Responses
+// Every request body is checked against a schema before its handler resolves a game or
+// touches any state. All failures share one envelope:
+//   { success: false, code, message, errors? }
+// where `code` is machine-readable (see ERROR_CODES) and `errors` lists the offending
+// fields as { field, code, message }.
+
+import { GAME_ID_PATTERN } from './games.js';
+import { MAX_IMPORT_RECORDS } from './history_import.js';
+import { HISTORY_STATUSES, MAX_PAGE_SIZE } from './history_query.js';
+import { parseTimestamp } from './utils.js';
+
+const MAX_REPORTED_ERRORS = 20;
+
+export const ERROR_CODES = {
+    VALIDATION_FAILED: 'VALIDATION_FAILED', // 400, with per-field `errors`
+    INVALID_JSON: 'INVALID_JSON', // 400
+    INVALID_GAME_ID: 'INVALID_GAME_ID', // 400
+    GAME_LIMIT_REACHED: 'GAME_LIMIT_REACHED', // 400
+    UNAUTHORIZED: 'UNAUTHORIZED', // 401
+    FORBIDDEN: 'FORBIDDEN', // 403
+    FEATURE_DISABLED: 'FEATURE_DISABLED', // 403
+    NOT_FOUND: 'NOT_FOUND', // 404
+    CONFLICT: 'CONFLICT', // 409
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE', // 413
+    RATE_LIMITED: 'RATE_LIMITED', // 429
+    INTERNAL_ERROR: 'INTERNAL_ERROR', // 500
+    NOT_CONFIGURED: 'NOT_CONFIGURED' // 503
+};
+
+// Field-level codes used in `errors`
+export const FIELD_ERROR_CODES = {
+    REQUIRED: 'REQUIRED',
+    UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+    INVALID_TYPE: 'INVALID_TYPE',
+    INVALID_FORMAT: 'INVALID_FORMAT',
+    OUT_OF_RANGE: 'OUT_OF_RANGE',
+    INVALID_VALUE: 'INVALID_VALUE'
+};
+
+// --- Error Responses ---
+
+export function sendError(res, status, code, message, extra = {}) {
+    return res.status(status).json({ success: false, code, message, ...extra });
+}
+
+export function sendValidationError(res, errors, message = "Request validation failed; nothing was changed.") {
+    return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, message, { errors: errors.slice(0, MAX_REPORTED_ERRORS) });
+}
+
+// --- Schema Validation ---
+// A schema node is { type, optional, nullable, ... } where `type` is one of object, array,
+// string, integer, number, boolean or any, or a list of them. Objects reject properties they
+// do not declare unless `additionalProperties` is true or a schema for them.
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'any') return true;
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    if (type === 'integer') return Number.isSafeInteger(value);
+    return typeOf(value) === type;
+}
+
+function fieldError(field, code, message) {
+    return { field: field || '(body)', code, message };
+}
+
+function checkNode(schema, value, field, errors) {
+    if (value === null && schema.nullable) return;
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+        errors.push(fieldError(field, FIELD_ERROR_CODES.INVALID_TYPE, `${field || 'Body'} must be ${types.join(' or ')}${schema.nullable ? ' or null' : ''}.`));
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(fieldError(field, FIELD_ERROR_CODES.INVALID_FORMAT, `${field} must be at least ${schema.minLength} characters.`));
+        } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(fieldError(field, FIELD_ERROR_CODES.INVALID_FORMAT, `${field} must be at most ${schema.maxLength} characters.`));
+        } else if (schema.pattern && !schema.pattern.test(value)) {
+            errors.push(fieldError(field, FIELD_ERROR_CODES.INVALID_FORMAT, `${field} ${schema.patternDescription || `must match ${schema.pattern}`}.`));
+        } else if (schema.format === 'date-time' && Number.isNaN(parseTimestamp(value))) {
+            errors.push(fieldError(field, FIELD_ERROR_CODES.INVALID_FORMAT, `${field} must be an ISO 8601 date or epoch milliseconds.`));
+        }
+    }
+
+    if (typeof value === 'number' && ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max))) {
+        const range = schema.max === undefined ? `at least ${schema.min}` : `between ${schema.min} and ${schema.max}`;
+        errors.push(fieldError(field, FIELD_ERROR_CODES.OUT_OF_RANGE, `${field} must be ${range}.`));
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(fieldError(field, FIELD_ERROR_CODES.OUT_OF_RANGE, `${field} needs at least ${schema.minItems} item(s).`));
+        } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(fieldError(field, FIELD_ERROR_CODES.OUT_OF_RANGE, `${field} takes at most ${schema.maxItems} items.`));
+        } else if (schema.items) {
+            for (let i = 0; i < value.length && errors.length < MAX_REPORTED_ERRORS; i++) {
+                checkNode(schema.items, value[i], `${field}[${i}]`, errors);
+            }
+        }
+    }
+
+    if (typeOf(value) === 'object' && (schema.properties || schema.additionalProperties !== undefined || schema.minProperties !== undefined)) {
+        checkObject(schema, value, field, errors);
+    }
+}
+
+function checkObject(schema, value, field, errors) {
+    const properties = schema.properties || {};
+    const prefix = field ? `${field}.` : '';
+
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+        errors.push(fieldError(field, FIELD_ERROR_CODES.REQUIRED, `${field || 'Body'} needs at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}.`));
+    }
+    for (const [key, propertySchema] of Object.entries(properties)) {
+        if (value[key] === undefined) {
+            if (!propertySchema.optional) errors.push(fieldError(`${prefix}${key}`, FIELD_ERROR_CODES.REQUIRED, `${prefix}${key} is required.`));
+            continue;
+        }
+        checkNode(propertySchema, value[key], `${prefix}${key}`, errors);
+    }
+    for (const key of Object.keys(value)) {
+        if (properties[key] || schema.additionalProperties === true) continue;
+        if (schema.additionalProperties) {
+            checkNode(schema.additionalProperties, value[key], `${prefix}${key}`, errors);
+        } else {
+            errors.push(fieldError(`${prefix}${key}`, FIELD_ERROR_CODES.UNKNOWN_FIELD, `${prefix}${key} is not a recognised field.`));
+        }
+    }
+}
+
+// Returns the list of field errors; empty when `value` conforms.
+export function validate(schema, value) {
+    const errors = [];
+    checkNode(schema, value, '', errors);
+    if (errors.length === 0 && schema.check) {
+        errors.push(...schema.check(value));
+    }
+    return errors;
+}
+
+// Express middleware; `schema` may also be a function of the request.
+export function validateBody(schema) {
+    return (req, res, next) => {
+        const resolved = typeof schema === 'function' ? schema(req) : schema;
+        const errors = validate(resolved, req.body ?? {});
+        if (errors.length > 0) return sendValidationError(res, errors);
+        next();
+    };
+}
+
+// Query-string counterpart of validateBody; every value arrives as a string.
+export function validateQuery(schema) {
+    return (req, res, next) => {
+        const errors = validate(schema, { ...req.query });
+        if (errors.length > 0) return sendValidationError(res, errors, "Query validation failed.");
+        next();
+    };
+}
+
+// --- Request Schemas ---
+
+const GAME_ID = {
+    type: 'string',
+    optional: true,
+    pattern: GAME_ID_PATTERN,
+    patternDescription: "must be 1-64 letters, digits, '_' or '-'"
+};
+
+const CONFIGURATION_NAME = { ...GAME_ID, optional: false };
+const VERSION = { type: 'integer', optional: true, min: 1 };
+
+// Upstream feeds send issue numbers and digits as numbers or strings; other fields of a
+// result record (colour, premium, ...) are ignored.
+const RESULT_RECORD = {
+    type: 'object',
+    properties: {
+        issueNumber: { type: ['string', 'integer'], pattern: /^\d{1,32}$/, patternDescription: "must contain digits only", min: 0 },
+        number: { type: ['integer', 'string'], pattern: /^[0-9]$/, patternDescription: "must be a single digit 0-9", min: 0, max: 9 },
+        timestamp: { type: ['integer', 'string'], optional: true, min: 0, format: 'date-time' }
+    },
+    additionalProperties: true
+};
+
+const RESULT_LIST = { type: 'array', items: RESULT_RECORD, minItems: 1, maxItems: MAX_IMPORT_RECORDS };
+
+const SIGNAL_PROPERTIES = {
+    id: { type: ['string', 'integer'], optional: true, maxLength: 200 },
+    type: { type: 'string', optional: true, maxLength: 64 },
+    impact: { type: 'number' },
+    timestamp: { type: ['integer', 'string'], optional: true, min: 0, format: 'date-time' },
+    decayRate: { type: 'number', optional: true, min: 0, max: 1 }
+};
+
+export const REQUEST_SCHEMAS = {
+    predict: {
+        type: 'object',
+        properties: { gameResult: RESULT_RECORD, gameId: GAME_ID, explain: { type: 'boolean', optional: true } }
+    },
+    historyImport: {
+        type: 'object',
+        properties: { results: RESULT_LIST, replay: { type: 'boolean', optional: true }, gameId: GAME_ID }
+    },
+    randomnessDataset: {
+        type: 'object',
+        properties: { results: RESULT_LIST, gameId: GAME_ID }
+    },
+    seed: {
+        type: 'object',
+        properties: { seed: { type: ['integer', 'string'], nullable: true, minLength: 1, maxLength: 200 }, gameId: GAME_ID }
+    },
+    // The model document itself is checked by parseModel (logistic_model.js)
+    model: { type: 'object', additionalProperties: true },
+    configPatch: { type: 'object', minProperties: 1, additionalProperties: true },
+    saveConfiguration: {
+        type: 'object',
+        properties: {
+            name: CONFIGURATION_NAME,
+            note: { type: 'string', optional: true, maxLength: 500 },
+            config: {
+                type: 'object',
+                optional: true,
+                properties: {
+                    mlBias: { type: 'number', optional: true },
+                    mlFeatureWeights: { type: 'object', optional: true, additionalProperties: { type: 'number' } },
+                    advisors: { type: 'object', optional: true, additionalProperties: { type: 'object', additionalProperties: true } }
+                }
+            },
+            gameId: GAME_ID
+        }
+    },
+    startChallenger: {
+        type: 'object',
+        properties: { name: CONFIGURATION_NAME, version: VERSION, gameId: GAME_ID }
+    },
+    promote: {
+        type: 'object',
+        properties: {
+            name: CONFIGURATION_NAME,
+            version: VERSION,
+            periods: { type: 'integer', optional: true, min: 1 },
+            force: { type: 'boolean', optional: true },
+            gameId: GAME_ID
+        }
+    },
+    rollback: {
+        type: 'object',
+        properties: { name: { ...CONFIGURATION_NAME, optional: true }, version: VERSION, gameId: GAME_ID },
+        check: body => body.version !== undefined && body.name === undefined
+            ? [fieldError('version', FIELD_ERROR_CODES.INVALID_VALUE, "version needs a name.")]
+            : []
+    },
+    // One signal, or { signals: [...] }
+    signals: req => req.body && typeof req.body === 'object' && 'signals' in req.body
+        ? { type: 'object', properties: { signals: { type: 'array', minItems: 1, maxItems: 100, items: { type: 'object', properties: SIGNAL_PROPERTIES } }, gameId: GAME_ID } }
+        : { type: 'object', properties: { ...SIGNAL_PROPERTIES, gameId: GAME_ID } }
+};
+
+// --- Query Schemas ---
+
+function listOf(values) {
+    return { type: 'string', optional: true, pattern: new RegExp(`^(${values.join('|')})(,(${values.join('|')}))*$`), patternDescription: `must be a comma-separated list of ${values.join(', ')}` };
+}
+
+const PERIOD = { type: 'string', optional: true, pattern: /^\d{1,32}$/, patternDescription: "must contain digits only" };
+const TIME = { type: 'string', optional: true, format: 'date-time' };
+
+const HISTORY_FILTERS = {
+    fromPeriod: PERIOD,
+    toPeriod: PERIOD,
+    status: listOf(HISTORY_STATUSES),
+    resultType: listOf(['BIG', 'SMALL']),
+    confidenceLevel: listOf(['0', '1']),
+    source: { type: 'string', optional: true, maxLength: 500 },
+    from: TIME,
+    to: TIME,
+    gameId: GAME_ID
+};
+
+export const QUERY_SCHEMAS = {
+    history: {
+        type: 'object',
+        properties: {
+            ...HISTORY_FILTERS,
+            limit: { type: 'string', optional: true, pattern: /^[1-9]\d{0,3}$/, patternDescription: `must be a whole number from 1 to ${MAX_PAGE_SIZE}` },
+            cursor: { type: 'string', optional: true, maxLength: 200 }
+        },
+        check: query => Number(query.limit) > MAX_PAGE_SIZE
+            ? [fieldError('limit', FIELD_ERROR_CODES.OUT_OF_RANGE, `limit must be between 1 and ${MAX_PAGE_SIZE}.`)]
+            : []
+    },
+    historyExport: {
+        type: 'object',
+        properties: { ...HISTORY_FILTERS, format: { type: 'string', optional: true, pattern: /^(csv|ndjson)$/, patternDescription: "must be csv or ndjson" } }
+    }
+};